@@ -15,8 +15,9 @@ export const config = {
   },
   conversion: {
     allowedFileTypes: [
-      "txt", "pdf", "docx", "pptx",
-      "csv", "xlsx",
+      "txt", "pdf", "docx", "doc", "pptx", "ppt", "epub", "rtf", "odt", "odp", "eml", "mbox", "msg", "srt", "vtt",
+      "png", "jpg", "jpeg", "tif", "tiff", "webp",
+      "csv", "xlsx", "xls", "ods", "json", "ndjson", "jsonl", "yaml", "yml", "ipynb",
       "mp3", "wav", "m4a",
       "mp4", "webm", "avi"
     ],
@@ -24,7 +25,19 @@ export const config = {
     maxVideoFileSize: 524288000 // 500MB for video files
   },
   storage: {
-    tempDir: '/tmp/obsidian-converter'
+    tempDir: '/tmp/obsidian-converter',
+    // Named DOCX style-map presets saved through /docx/style-maps
+    styleMapPresetsFile: process.env.STYLE_MAP_PRESETS_FILE || `${process.cwd()}/data/style-map-presets.json`
+  },
+  ocr: {
+    // Tesseract language codes, e.g. "eng" or "eng+deu"
+    language: process.env.OCR_LANGUAGE || 'eng',
+    // Directory or URL with *.traineddata.gz files; defaults to the bundled English data
+    langPath: process.env.OCR_LANG_PATH,
+    // Where downloaded language data is cached
+    cachePath: process.env.OCR_CACHE_PATH || '/tmp/obsidian-converter/tessdata',
+    // Idle workers beyond this many language sets are stopped, least recently used first
+    maxWorkers: parseInt(process.env.OCR_MAX_WORKERS, 10) || 2
   },
   security: {
     rateLimitPerMinute: 100
@@ -35,7 +48,7 @@ export const config = {
       'http://localhost:5173',
       'http://localhost:3000'
     ],
-    METHODS: ['GET', 'POST', 'OPTIONS'],
+    METHODS: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     ALLOWED_HEADERS: [
       'Content-Type',
       'Authorization',
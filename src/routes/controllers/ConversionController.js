@@ -776,9 +776,34 @@ export class ConversionController {
       'application/msword': 'doc',
       'text/csv': 'csv',
       'application/csv': 'csv',
-      'application/vnd.ms-excel': extension === 'csv' ? 'csv' : 'xlsx',
+      // Windows reports CSV files as vnd.ms-excel too
+      'application/vnd.ms-excel': ['csv', 'xlsx'].includes(extension) ? extension : 'xls',
       'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
-      'application/vnd.ms-powerpoint': 'pptx',
+      'application/vnd.ms-powerpoint': 'ppt',
+      'application/epub+zip': 'epub',
+      'application/rtf': 'rtf',
+      'text/rtf': 'rtf',
+      'application/vnd.oasis.opendocument.text': 'odt',
+      'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+      'application/vnd.oasis.opendocument.presentation': 'odp',
+      'message/rfc822': 'eml',
+      'application/mbox': 'mbox',
+      'application/vnd.ms-outlook': 'msg',
+      'application/x-subrip': 'srt',
+      'text/srt': 'srt',
+      'text/vtt': 'vtt',
+      'image/png': 'png',
+      'image/jpeg': extension === 'jpeg' ? 'jpeg' : 'jpg',
+      'image/tiff': extension === 'tif' ? 'tif' : 'tiff',
+      'image/webp': 'webp',
+      'application/json': 'json',
+      'application/x-ndjson': 'ndjson',
+      'application/jsonl': 'ndjson',
+      'application/yaml': 'yaml',
+      'application/x-yaml': 'yaml',
+      'text/yaml': 'yaml',
+      'text/x-yaml': 'yaml',
+      'application/x-ipynb+json': 'ipynb',
     };
 
     // Trust the extension for known document types
@@ -797,6 +822,22 @@ export class ConversionController {
       return 'csv';
     }
 
+    // JSON Lines and YAML files are often sent with a generic JSON/text mime type
+    if (['jsonl', 'ndjson'].includes(extension)) {
+      return 'ndjson';
+    }
+    if (['yaml', 'yml'].includes(extension)) {
+      return 'yaml';
+    }
+    if (extension === 'ipynb') {
+      return 'ipynb';
+    }
+
+    // Caption files are frequently uploaded as text/plain
+    if (['srt', 'vtt'].includes(extension)) {
+      return extension;
+    }
+
     // Otherwise use the mime type mapping or fall back to extension
     return mimeTypeMap[mimetype] || extension;
   }
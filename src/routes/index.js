@@ -6,6 +6,12 @@ import { validateConversion } from './middleware/validators.js';
 import { uploadMiddleware } from './middleware/upload.js';
 import { apiKeyChecker } from './middleware/utils/apiKeyChecker.js';
 import paymentRoutes from './paymentRoutes.js';
+import {
+    listStyleMapPresets,
+    getStyleMapPreset,
+    saveStyleMapPreset,
+    deleteStyleMapPreset
+} from '../services/styleMapPresets.js';
 import path from 'path';
 import fs from 'fs';
 const router = express.Router();
@@ -87,6 +93,68 @@ router.post('/batch',
     controller.handleBatchConversion
 );
 
+// DOCX style-map presets
+router.get('/docx/style-maps', async (req, res, next) => {
+    try {
+        const presets = await listStyleMapPresets();
+        res.json({ status: 'success', data: presets });
+    } catch (error) {
+        console.error('❌ Listing style map presets failed:', error.message);
+        next(error);
+    }
+});
+
+router.get('/docx/style-maps/:name', async (req, res, next) => {
+    try {
+        const preset = await getStyleMapPreset(req.params.name);
+        if (!preset) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Style map preset not found'
+            });
+        }
+        res.json({ status: 'success', data: preset });
+    } catch (error) {
+        console.error('❌ Reading style map preset failed:', {
+            name: req.params.name,
+            error: error.message
+        });
+        next(error);
+    }
+});
+
+router.put('/docx/style-maps/:name', async (req, res, next) => {
+    try {
+        const preset = await saveStyleMapPreset(req.params.name, req.body?.styleMap);
+        res.json({ status: 'success', data: preset });
+    } catch (error) {
+        console.error('❌ Saving style map preset failed:', {
+            name: req.params.name,
+            error: error.message
+        });
+        next(error);
+    }
+});
+
+router.delete('/docx/style-maps/:name', async (req, res, next) => {
+    try {
+        const deleted = await deleteStyleMapPreset(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Style map preset not found'
+            });
+        }
+        res.json({ status: 'success' });
+    } catch (error) {
+        console.error('❌ Deleting style map preset failed:', {
+            name: req.params.name,
+            error: error.message
+        });
+        next(error);
+    }
+});
+
 // Payment endpoints
 router.use('/payment', (req, res, next) => {
     console.log('💰 Payment request:', {
@@ -31,7 +31,27 @@ const ALLOWED_TYPES = {
         }
     },
     // Other document types
-    'application/msword': { name: 'DOC' },
+    'application/msword': {
+        name: 'DOC',
+        validateSignature: (buffer) => {
+            // Legacy Office files are OLE2 compound documents
+            return buffer.length >= 4 &&
+                   buffer[0] === 0xD0 &&
+                   buffer[1] === 0xCF &&
+                   buffer[2] === 0x11 &&
+                   buffer[3] === 0xE0;
+        }
+    },
+    'application/vnd.ms-powerpoint': {
+        name: 'PPT',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0xD0 &&
+                   buffer[1] === 0xCF &&
+                   buffer[2] === 0x11 &&
+                   buffer[3] === 0xE0;
+        }
+    },
     'application/vnd.openxmlformats-officedocument.presentationml.presentation': { 
         name: 'PPTX',
         validateSignature: (buffer) => {
@@ -43,10 +63,122 @@ const ALLOWED_TYPES = {
                    buffer[3] === 0x04;   // \x04
         }
     },
+    'application/epub+zip': {
+        name: 'EPUB',
+        validateSignature: (buffer) => {
+            // EPUB books are ZIP containers
+            return buffer.length >= 4 && 
+                   buffer[0] === 0x50 && // P
+                   buffer[1] === 0x4B && // K
+                   buffer[2] === 0x03 && // \x03
+                   buffer[3] === 0x04;   // \x04
+        }
+    },
+    'application/rtf': {
+        name: 'RTF',
+        validateSignature: (buffer) => {
+            // RTF documents start with {\rtf
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x7B && // {
+                   buffer[1] === 0x5C && // \
+                   buffer[2] === 0x72 && // r
+                   buffer[3] === 0x74;   // t
+        }
+    },
+    'text/rtf': {
+        name: 'RTF',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x7B && // {
+                   buffer[1] === 0x5C && // \
+                   buffer[2] === 0x72 && // r
+                   buffer[3] === 0x74;   // t
+        }
+    },
+    // OpenDocument files are ZIP containers like DOCX/PPTX
+    'application/vnd.oasis.opendocument.text': {
+        name: 'ODT',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x50 && // P
+                   buffer[1] === 0x4B && // K
+                   buffer[2] === 0x03 && // \x03
+                   buffer[3] === 0x04;   // \x04
+        }
+    },
+    'application/vnd.oasis.opendocument.presentation': {
+        name: 'ODP',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x50 && // P
+                   buffer[1] === 0x4B && // K
+                   buffer[2] === 0x03 && // \x03
+                   buffer[3] === 0x04;   // \x04
+        }
+    },
+    // Email
+    'message/rfc822': { name: 'EML' },
+    'application/mbox': { name: 'MBOX' },
+    'application/vnd.ms-outlook': {
+        name: 'MSG',
+        validateSignature: (buffer) => {
+            // Outlook messages are OLE2 compound documents
+            return buffer.length >= 4 &&
+                   buffer[0] === 0xD0 &&
+                   buffer[1] === 0xCF &&
+                   buffer[2] === 0x11 &&
+                   buffer[3] === 0xE0;
+        }
+    },
+    // Subtitles and captions
+    'application/x-subrip': { name: 'SRT' },
+    'text/srt': { name: 'SRT' },
+    'text/vtt': { name: 'VTT' },
+    // Images (OCR)
+    'image/png': {
+        name: 'PNG',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x89 &&
+                   buffer[1] === 0x50 && // P
+                   buffer[2] === 0x4E && // N
+                   buffer[3] === 0x47;   // G
+        }
+    },
+    'image/jpeg': {
+        name: 'JPEG',
+        validateSignature: (buffer) => {
+            return buffer.length >= 3 &&
+                   buffer[0] === 0xFF &&
+                   buffer[1] === 0xD8 &&
+                   buffer[2] === 0xFF;
+        }
+    },
+    'image/tiff': { name: 'TIFF' },
+    'image/webp': { name: 'WEBP' },
     // Data formats
     'text/csv': { name: 'CSV' },
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { name: 'XLSX' },
+    // No signature check: Windows also sends CSV files as vnd.ms-excel
+    'application/vnd.ms-excel': { name: 'XLS' },
+    'application/vnd.oasis.opendocument.spreadsheet': {
+        name: 'ODS',
+        validateSignature: (buffer) => {
+            return buffer.length >= 4 &&
+                   buffer[0] === 0x50 && // P
+                   buffer[1] === 0x4B && // K
+                   buffer[2] === 0x03 && // \x03
+                   buffer[3] === 0x04;   // \x04
+        }
+    },
     'application/yaml': { name: 'YAML' },
+    'application/x-yaml': { name: 'YAML' },
+    'text/yaml': { name: 'YAML' },
+    'text/x-yaml': { name: 'YAML' },
+    'application/json': { name: 'JSON' },
+    'application/x-ndjson': { name: 'NDJSON' },
+    'application/jsonl': { name: 'NDJSON' },
+    'application/x-ipynb+json': { name: 'IPYNB' },
     // Media formats
     'audio/mpeg': { name: 'MP3' },
     'audio/wav': { name: 'WAV' },
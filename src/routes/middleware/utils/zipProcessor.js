@@ -62,11 +62,14 @@ export async function handleConversion(type, content, name, apiKey) {
   }
 }
 
+const MAX_MEMORY_USAGE = 512 * 1024 * 1024; // 512MB memory threshold
+
 const CATEGORIES = {
   multimedia: ['audio', 'video', 'mp3', 'mp4', 'wav', 'ogg', 'webm'],
   web: ['url', 'parenturl'],
-  text: ['pdf', 'docx', 'pptx'],
-  data: ['csv', 'xlsx']
+  text: ['pdf', 'docx', 'doc', 'pptx', 'ppt', 'epub', 'rtf', 'odt', 'odp', 'eml', 'mbox', 'msg', 'srt', 'vtt'],
+  images: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'],
+  data: ['csv', 'xlsx', 'xls', 'ods', 'json', 'ndjson', 'jsonl', 'yaml', 'yml', 'ipynb']
 };
 
 function getCategory(type) {
@@ -156,7 +159,6 @@ export async function createBatchZip(items) {
   let currentBatch = [];
   let batchSize = 0;
   const MAX_BATCH_SIZE = 25 * 1024 * 1024; // 25MB batch size
-const MAX_MEMORY_USAGE = 512 * 1024 * 1024; // 512MB memory threshold
 
   // Process items in batches to manage memory
   for (const item of items) {
@@ -315,6 +317,8 @@ async function processBatch(zip, batch, categories) {
 
       if (category === 'web') {
         await processWebContent(categoryFolder, baseName, content, images, item);
+      } else if (item.files && item.files.length > 0) {
+        await processFolderContent(categoryFolder, baseName, content, images, item);
       } else {
         await processRegularContent(categoryFolder, category, baseName, content, images);
       }
@@ -392,6 +396,47 @@ async function processWebContent(categoryFolder, baseName, content, _, item) {
   }
 }
 
+/**
+ * Process multi-note content such as a book split into chapters
+ * @param {JSZip} categoryFolder - The category folder
+ * @param {string} baseName - Base name for the content
+ * @param {string} content - The index note content
+ * @param {Array} images - Array of images
+ * @param {Object} item - The conversion result holding the additional notes
+ */
+async function processFolderContent(categoryFolder, baseName, content, images, item) {
+  console.log('📚 Processing folder content:', {
+    baseName,
+    fileCount: item.files.length,
+    imageCount: images.length
+  });
+
+  const itemFolder = categoryFolder.folder(baseName);
+  if (!itemFolder) {
+    console.error('Failed to create item folder:', baseName);
+    return;
+  }
+
+  itemFolder.file('index.md', content);
+
+  for (const file of item.files) {
+    if (!file.name || !file.content) {
+      console.warn('⚠️ Skipping invalid file:', file.name);
+      continue;
+    }
+    itemFolder.file(file.name, file.content);
+  }
+
+  // Image paths are relative to the notes, e.g. attachments/<name>/<image>
+  for (const image of images) {
+    if (!image.path || !image.data) {
+      console.warn('⚠️ Skipping invalid image:', image.name);
+      continue;
+    }
+    itemFolder.file(image.path, image.data, { base64: true });
+  }
+}
+
 /**
  * Process regular content
  * @param {JSZip} categoryFolder - The category folder
@@ -400,9 +445,18 @@ async function processWebContent(categoryFolder, baseName, content, _, item) {
  * @param {string} content - The content
  * @param {Array} images - Array of images
  */
-async function processRegularContent(categoryFolder, category, baseName, content) {
+async function processRegularContent(categoryFolder, category, baseName, content, images = []) {
   console.log(`📄 Processing regular content: ${baseName}`);
   categoryFolder.file(`${baseName}.md`, content);
+
+  // Image paths are relative to the note, e.g. attachments/<name>/<image>
+  for (const image of images) {
+    if (!image.path || !image.data) {
+      console.warn('⚠️ Skipping invalid image:', image.name);
+      continue;
+    }
+    categoryFolder.file(image.path, image.data, { base64: true });
+  }
 }
 
 /**
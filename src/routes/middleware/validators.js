@@ -3,6 +3,7 @@
 import { body, validationResult } from 'express-validator';
 import { AppError } from '../../utils/errorHandler.js';
 import { config } from '../../config/default.js';
+import { normalizeOcrLanguage } from '../../utils/ocr.js';
 
 /**
  * Normalizes a URL by adding https:// if missing
@@ -25,6 +26,22 @@ const validateUrl = (url) => {
     }
 };
 
+/**
+ * Validates the OCR language in a conversion options object or JSON string
+ */
+const validateOcrOptions = (value) => {
+    let options;
+    try {
+        options = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+        throw new Error('Invalid options format');
+    }
+    if (options?.ocrLanguage !== undefined) {
+        normalizeOcrLanguage(options.ocrLanguage);
+    }
+    return true;
+};
+
 /**
  * Validation result checker
  */
@@ -63,7 +80,10 @@ const validators = {
                     );
                 }
                 return true;
-            })
+            }),
+        body('options')
+            .optional()
+            .custom(validateOcrOptions)
     ],
 
     // URL validation
@@ -138,6 +158,8 @@ const validators = {
                         hasItems: items?.length > 0
                     });
 
+                    items?.forEach(item => item?.options && validateOcrOptions(item.options));
+
                     // Store parsed items for later use
                     req.parsedItems = items || [];
                     return true;
@@ -148,8 +170,8 @@ const validators = {
         body('items.*.type')
             .optional()
             .isString()
-            .isIn(['file', 'url', 'parenturl', 'pptx', 'pdf', 'docx', 'csv', 'xlsx'])
-            .withMessage('Invalid item type. Supported types: file, url, parenturl, pptx, pdf, docx, csv, xlsx'),
+            .isIn(['file', 'url', 'parenturl', 'pptx', 'ppt', 'pdf', 'docx', 'doc', 'epub', 'rtf', 'odt', 'odp', 'eml', 'mbox', 'msg', 'srt', 'vtt', 'png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp', 'csv', 'xlsx', 'xls', 'ods', 'json', 'ndjson', 'yaml', 'ipynb'])
+            .withMessage('Invalid item type. Supported types: file, url, parenturl, pptx, ppt, pdf, docx, doc, epub, rtf, odt, odp, eml, mbox, msg, srt, vtt, png, jpg, jpeg, tif, tiff, webp, csv, xlsx, xls, ods, json, ndjson, yaml, ipynb'),
         body('items.*.url')
             .optional()
             .custom((value, { req }) => {
@@ -52,9 +52,45 @@ export class ConversionService {
           bytes: [0xD0, 0xCF, 0x11, 0xE0],
           description: 'DOC signature'
         },
+        xls: {
+          bytes: [0xD0, 0xCF, 0x11, 0xE0],
+          description: 'XLS signature'
+        },
+        ppt: {
+          bytes: [0xD0, 0xCF, 0x11, 0xE0],
+          description: 'PPT signature'
+        },
+        msg: {
+          bytes: [0xD0, 0xCF, 0x11, 0xE0],
+          description: 'MSG signature'
+        },
+        png: {
+          bytes: [0x89, 0x50, 0x4E, 0x47],
+          description: 'PNG signature'
+        },
         pptx: {
           bytes: [0x50, 0x4B, 0x03, 0x04],
           description: 'PPTX/ZIP signature'
+        },
+        epub: {
+          bytes: [0x50, 0x4B, 0x03, 0x04],
+          description: 'EPUB/ZIP signature'
+        },
+        rtf: {
+          bytes: [0x7B, 0x5C, 0x72, 0x74],
+          description: 'RTF signature'
+        },
+        odt: {
+          bytes: [0x50, 0x4B, 0x03, 0x04],
+          description: 'ODT/ZIP signature'
+        },
+        ods: {
+          bytes: [0x50, 0x4B, 0x03, 0x04],
+          description: 'ODS/ZIP signature'
+        },
+        odp: {
+          bytes: [0x50, 0x4B, 0x03, 0x04],
+          description: 'ODP/ZIP signature'
         }
       };
 
@@ -85,7 +121,7 @@ export class ConversionService {
         console.log('🌐 Processing web content');
         processedContent = content;
         updateProgress(10);
-      } else if (['docx', 'pdf', 'doc', 'pptx'].includes(normalizedType)) {
+      } else if (['docx', 'pdf', 'doc', 'pptx', 'epub', 'rtf', 'odt', 'ods', 'odp', 'xls', 'ppt', 'msg', 'png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'].includes(normalizedType)) {
         console.log('📄 Processing document file');
         
         if (!Buffer.isBuffer(content)) {
@@ -250,6 +286,7 @@ export class ConversionService {
 
         const shouldCreateZip = 
           type === 'parenturl' || 
+          (result.files && result.files.length > 0) ||
           (result.images && result.images.length > 0 && !['url', 'parenturl'].includes(type));
 
         let finalResult;
@@ -444,7 +481,7 @@ export class ConversionService {
         chunkSize: content?.length > 50 * 1024 * 1024 ? 25 * 1024 * 1024 : undefined
       };
 
-      if (fileType === 'csv' || fileType === 'xlsx') {
+      if (['csv', 'xlsx', 'ods', 'xls', 'json', 'ndjson', 'jsonl', 'yaml', 'yml', 'ipynb'].includes(fileType)) {
         console.log('📊 Processing data file:', { name, category, type: fileType });
         return this.handleDataFileConversion(fileType, content, name, processOptions);
       }
@@ -1,19 +1,42 @@
 // services/converter/data/csvConverter.js
 
 import { parse } from 'csv-parse/sync';
+import { buildRowNotes } from '../../../utils/rowNotes.js';
 
 /**
  * Converts a CSV buffer or string to Markdown format.
  * @param {Buffer|string} input - The CSV content as a buffer or string.
  * @param {string} originalName - Original filename for context.
  * @param {string} [apiKey] - API key if needed.
- * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.mode] - 'notes' writes one note per row plus an index note
+ *   with a Dataview query; by default the rows form a single table.
+ * @param {string} [options.titleColumn] - Column naming each row note; defaults to the first.
+ * @param {string} [options.bodyColumn] - Column holding each row note's text.
+ * @returns {Promise<{ content: string, images: Array, files?: Array }>} - Converted content and images.
  */
-export async function convertCsvToMarkdown(input, originalName, apiKey) {
+export async function convertCsvToMarkdown(input, originalName, apiKey, options = {}) {
   try {
     // Convert buffer to string if necessary
     const csvContent = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
 
+    if (options.mode === 'notes') {
+      const [headers, ...rows] = parse(csvContent, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true
+      });
+      if (!headers) {
+        return { content: "# Empty CSV File\nNo data found in the file.", images: [] };
+      }
+      return buildRowNotes(headers, rows, {
+        originalName,
+        format: 'csv',
+        titleColumn: options.titleColumn,
+        bodyColumn: options.bodyColumn
+      });
+    }
+
     // Parse the CSV data
     const records = parse(csvContent, {
       columns: true,
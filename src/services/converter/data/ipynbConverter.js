@@ -0,0 +1,219 @@
+// services/converter/data/ipynbConverter.js
+
+import path from 'path';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+import { htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+
+// Output image types in order of preference, with their file extensions
+const IMAGE_OUTPUT_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Joins notebook text, which nbformat stores as a string or a list of lines
+ * @param {string|Array<string>|undefined} text - Multiline notebook string
+ * @returns {string} Joined text
+ */
+function joinText(text) {
+  return Array.isArray(text) ? text.join('') : text || '';
+}
+
+/**
+ * Removes terminal colour codes, which tracebacks are full of
+ * @param {string} text - Output text
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * Reads an image from a notebook mime bundle as base64
+ * @param {Object} bundle - Mime bundle of an output or cell attachment
+ * @param {string} imageType - Image mime type present in the bundle
+ * @returns {string} Base64 image data
+ */
+function readImage(bundle, imageType) {
+  // SVG is stored as markup, raster images as base64 split over lines
+  const content = joinText(bundle[imageType]);
+  return imageType === 'image/svg+xml'
+    ? Buffer.from(content).toString('base64')
+    : content.replace(/\s/g, '');
+}
+
+/**
+ * Wraps text in a fenced code block, lengthening the fence if the text contains one
+ * @param {string} text - Block content
+ * @param {string} [language] - Info string
+ * @returns {string} Fenced block
+ */
+function fence(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `${marker}${language}\n${text.replace(/\n+$/, '')}\n${marker}`;
+}
+
+/**
+ * Renders the outputs of a code cell, extracting images as attachments
+ * @param {Array<Object>} outputs - Cell outputs
+ * @param {Function} addImage - (base64, extension, mimeType) => attachment filename
+ * @returns {Array<string>} Markdown blocks
+ */
+function renderOutputs(outputs, addImage) {
+  const blocks = [];
+
+  for (const output of outputs || []) {
+    switch (output.output_type) {
+      case 'stream': {
+        const text = stripAnsi(joinText(output.text));
+        if (text.trim()) {
+          blocks.push(fence(text, 'text'));
+        }
+        break;
+      }
+      case 'error':
+        blocks.push(fence(stripAnsi((output.traceback || [`${output.ename}: ${output.evalue}`]).join('\n')), 'text'));
+        break;
+      case 'execute_result':
+      case 'display_data': {
+        const data = output.data || {};
+        const imageType = Object.keys(IMAGE_OUTPUT_TYPES).find(type => data[type]);
+
+        if (imageType) {
+          blocks.push(`![[${addImage(readImage(data, imageType), IMAGE_OUTPUT_TYPES[imageType], imageType)}]]`);
+        } else if (data['text/markdown']) {
+          blocks.push(joinText(data['text/markdown']).trim());
+        } else if (data['text/html'] && /<table/i.test(joinText(data['text/html']))) {
+          // DataFrames render far better from their HTML table than their text repr
+          blocks.push(htmlToMarkdown(joinText(data['text/html'])));
+        } else if (data['text/plain']) {
+          blocks.push(fence(stripAnsi(joinText(data['text/plain'])), 'text'));
+        }
+        break;
+      }
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Converts a Jupyter notebook to Markdown: markdown cells are kept as-is,
+ * code cells become fenced blocks in the kernel language and outputs become
+ * text blocks or image attachments.
+ * @param {Buffer|string} input - The notebook JSON as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options from the request.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertIpynbToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const notebookContent = (Buffer.isBuffer(input) ? input.toString('utf-8') : input).replace(/^\uFEFF/, '');
+    const notebook = JSON.parse(notebookContent);
+
+    if (!Array.isArray(notebook.cells)) {
+      throw new Error(`Unsupported notebook format${notebook.nbformat ? ` v${notebook.nbformat}` : ''}: expected nbformat 4`);
+    }
+
+    const metadata = notebook.metadata || {};
+    const kernelspec = metadata.kernelspec || {};
+    const languageInfo = metadata.language_info || {};
+    const language = (kernelspec.language || languageInfo.name || '').toLowerCase();
+    const baseName = path.basename(originalName, path.extname(originalName));
+
+    const images = [];
+    const addImage = (cellNumber) => (base64, extension, mimeType, preferredName) => {
+      const name = `${baseName}_cell${cellNumber}_${preferredName || `output${images.length + 1}.${extension}`}`;
+      images.push({
+        name,
+        data: base64,
+        type: mimeType,
+        path: `attachments/${baseName}/${name}`
+      });
+      return name;
+    };
+
+    const sections = [];
+    notebook.cells.forEach((cell, index) => {
+      const cellNumber = index + 1;
+      const source = joinText(cell.source);
+
+      switch (cell.cell_type) {
+        case 'markdown': {
+          // Images pasted into markdown cells are stored as cell attachments
+          const attachments = cell.attachments || {};
+          const markdown = source.replace(/!\[([^\]]*)\]\(attachment:([^)\s]+)[^)]*\)/g, (match, alt, name) => {
+            let attachmentName = name;
+            if (!attachments[name]) {
+              try {
+                attachmentName = decodeURIComponent(name);
+              } catch {
+                // A literal % is not an escape; keep the name as written
+              }
+            }
+            const bundle = attachments[attachmentName];
+            const imageType = bundle && Object.keys(IMAGE_OUTPUT_TYPES).find(type => bundle[type]);
+            if (!imageType) return match;
+            const fileName = addImage(cellNumber)(
+              readImage(bundle, imageType),
+              IMAGE_OUTPUT_TYPES[imageType],
+              imageType,
+              path.basename(attachmentName)
+            );
+            return `![[${fileName}]]`;
+          });
+          if (markdown.trim()) {
+            sections.push(markdown.trim());
+          }
+          break;
+        }
+        case 'code': {
+          if (source.trim()) {
+            sections.push(fence(source, language));
+          }
+          sections.push(...renderOutputs(cell.outputs, addImage(cellNumber)));
+          break;
+        }
+        default:
+          // Raw cells are meant for nbconvert and are kept verbatim
+          if (source.trim()) {
+            sections.push(fence(source));
+          }
+      }
+    });
+
+    const authors = (metadata.authors || [])
+      .map(author => typeof author === 'string' ? author : author?.name)
+      .filter(Boolean);
+
+    const frontmatter = formatMetadata({
+      title: metadata.title || baseName,
+      authors,
+      kernel: kernelspec.display_name || kernelspec.name,
+      language: languageInfo.name || kernelspec.language,
+      languageVersion: languageInfo.version,
+      cells: notebook.cells.length,
+      source: originalName,
+      type: 'notebook',
+      format: 'ipynb',
+      created: new Date().toISOString()
+    });
+
+    console.log('✅ Notebook converted:', {
+      originalName,
+      cells: notebook.cells.length,
+      images: images.length
+    });
+
+    return {
+      content: `${frontmatter}\n# ${metadata.title || baseName}\n\n${sections.join('\n\n')}\n`,
+      images
+    };
+  } catch (error) {
+    console.error('Error converting notebook to Markdown:', error);
+    throw error;
+  }
+}
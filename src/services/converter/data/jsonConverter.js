@@ -0,0 +1,221 @@
+// services/converter/data/jsonConverter.js
+
+import YAML from 'yaml';
+
+/**
+ * Checks whether a value is a plain object (not an array or null)
+ * @param {any} value - The value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is a non-empty array made only of objects, which renders best as a table
+ * @param {any} value - The value to check
+ * @returns {boolean} True for arrays of objects
+ */
+function isRecordArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+/**
+ * Formats a scalar for inline Markdown output
+ * @param {any} value - The value to format
+ * @returns {string} Text representation
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+/**
+ * Formats a value for a table cell; nested structures are written as compact JSON
+ * @param {any} value - The cell value
+ * @returns {string} Single-line cell text
+ */
+function formatCell(value) {
+  let text;
+  if (Array.isArray(value) && !value.some(item => typeof item === 'object' && item !== null)) {
+    text = value.map(formatScalar).join(', ');
+  } else if (typeof value === 'object' && value !== null && !(value instanceof Date)) {
+    text = JSON.stringify(value);
+  } else {
+    text = formatScalar(value);
+  }
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Renders an array of objects as a table using the union of their keys as columns
+ * @param {Array<Object>} records - The records to render
+ * @returns {string} Markdown table
+ */
+function recordsToTable(records) {
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const rows = records.map(record => headers.map(header => formatCell(record[header])));
+
+  // Calculate column widths for better formatting; a reduce, since spreading
+  // hundreds of thousands of rows into Math.max overflows the call stack
+  const columnWidths = headers.map((header, i) =>
+    rows.reduce((width, row) => Math.max(width, row[i].length), Math.max(3, formatCell(header).length))
+  );
+
+  return [
+    '| ' + headers.map((header, i) => formatCell(header).padEnd(columnWidths[i])).join(' | ') + ' |',
+    '| ' + columnWidths.map(width => '-'.repeat(width)).join(' | ') + ' |',
+    ...rows.map(row => '| ' + row.map((cell, i) => cell.padEnd(columnWidths[i])).join(' | ') + ' |')
+  ].join('\n');
+}
+
+/**
+ * Renders nested data as an indented outline
+ * @param {any} data - The data to render
+ * @param {number} depth - Current nesting depth
+ * @returns {string} Markdown list
+ */
+function toOutline(data, depth = 0) {
+  const indent = '  '.repeat(depth);
+
+  if (Array.isArray(data)) {
+    return data.map((item, index) => {
+      if (typeof item !== 'object' || item === null || item instanceof Date) {
+        return `${indent}- ${formatScalar(item)}`;
+      }
+      const children = toOutline(item, depth + 1);
+      return children ? `${indent}- Item ${index + 1}\n${children}` : `${indent}- Item ${index + 1}`;
+    }).join('\n');
+  }
+
+  if (isPlainObject(data)) {
+    return Object.entries(data).map(([key, value]) => {
+      if (typeof value !== 'object' || value === null || value instanceof Date) {
+        return `${indent}- **${key}**: ${formatScalar(value)}`;
+      }
+      const children = toOutline(value, depth + 1);
+      return children ? `${indent}- **${key}**\n${children}` : `${indent}- **${key}**: ${JSON.stringify(value)}`;
+    }).join('\n');
+  }
+
+  return `${indent}- ${formatScalar(data)}`;
+}
+
+/**
+ * Renders parsed JSON/YAML data as Markdown: arrays of objects become tables,
+ * nested objects become outlines and each top-level structure gets its own section.
+ * @param {any} data - The parsed data.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} format - Source format recorded in the frontmatter.
+ * @param {Object} [options] - Conversion options.
+ * @param {boolean} [options.scalarFrontmatter] - Move top-level scalar keys into the frontmatter;
+ *   keys that clash with the converter's own (source, type, ...) are prefixed with data_.
+ * @returns {{ content: string, images: Array }} - Converted content and images.
+ */
+export function structuredDataToMarkdown(data, originalName, format, options = {}) {
+  // A Map so data keys such as __proto__ stay ordinary properties
+  const frontmatter = new Map([
+    ['source', originalName],
+    ['type', 'data'],
+    ['format', format],
+    ...(Array.isArray(data) ? [['records', data.length]] : []),
+    ['created', new Date().toISOString()]
+  ]);
+
+  const sections = [`# ${originalName}`];
+
+  if (isRecordArray(data)) {
+    sections.push(recordsToTable(data));
+  } else if (isPlainObject(data)) {
+    const scalars = [];
+    const nested = [];
+    for (const [key, value] of Object.entries(data)) {
+      const isScalar = typeof value !== 'object' || value === null || value instanceof Date;
+      (isScalar ? scalars : nested).push([key, value]);
+    }
+
+    if (options.scalarFrontmatter && scalars.length) {
+      // Keys the converter sets itself keep their meaning; colliding data keys get a prefix
+      for (const [key, value] of scalars) {
+        let property = key;
+        while (frontmatter.has(property)) {
+          property = `data_${property}`;
+        }
+        frontmatter.set(property, value);
+      }
+    } else if (scalars.length) {
+      sections.push(toOutline(Object.fromEntries(scalars)));
+    }
+
+    for (const [key, value] of nested) {
+      if (isRecordArray(value)) {
+        sections.push(`## ${key}`, recordsToTable(value));
+      } else if (Array.isArray(value) && value.length === 0 || isPlainObject(value) && !Object.keys(value).length) {
+        sections.push(`## ${key}`, '*Empty*');
+      } else {
+        sections.push(`## ${key}`, toOutline(value));
+      }
+    }
+  } else if (Array.isArray(data)) {
+    sections.push(data.length ? toOutline(data) : '*Empty*');
+  } else {
+    sections.push(formatScalar(data));
+  }
+
+  // Let the YAML serializer quote keys and values where needed
+  return {
+    content: `---\n${YAML.stringify(frontmatter, { lineWidth: 0 })}---\n${sections.join('\n\n')}\n`,
+    images: []
+  };
+}
+
+/**
+ * Converts a JSON buffer or string to Markdown format.
+ * @param {Buffer|string} input - The JSON content as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see structuredDataToMarkdown.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertJsonToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    // Convert buffer to string if necessary, dropping a UTF-8 BOM
+    const jsonContent = (Buffer.isBuffer(input) ? input.toString('utf-8') : input).replace(/^\uFEFF/, '');
+
+    const data = JSON.parse(jsonContent);
+    return structuredDataToMarkdown(data, originalName, 'json', options);
+  } catch (error) {
+    console.error('Error converting JSON to Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Converts a JSON Lines (NDJSON) buffer or string to Markdown format,
+ * treating every line as one record.
+ * @param {Buffer|string} input - The NDJSON content as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see structuredDataToMarkdown.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertNdjsonToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const ndjsonContent = (Buffer.isBuffer(input) ? input.toString('utf-8') : input).replace(/^\uFEFF/, '');
+
+    const records = ndjsonContent.split(/\r?\n/).flatMap((line, index) => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return structuredDataToMarkdown(records, originalName, 'ndjson', options);
+  } catch (error) {
+    console.error('Error converting NDJSON to Markdown:', error);
+    throw error;
+  }
+}
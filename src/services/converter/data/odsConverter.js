@@ -0,0 +1,23 @@
+// services/converter/data/odsConverter.js
+
+import xlsx from 'xlsx';
+import { workbookToMarkdown, WORKBOOK_READ_OPTIONS } from './xlsxConverter.js';
+
+/**
+ * Converts an ODS (OpenDocument Spreadsheet) buffer to Markdown, one table per sheet.
+ * @param {Buffer} input - The ODS file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see workbookToMarkdown.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertOdsToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    // SheetJS reads OpenDocument spreadsheets natively
+    const workbook = xlsx.read(input, WORKBOOK_READ_OPTIONS);
+    return workbookToMarkdown(workbook, originalName, 'ods', options);
+  } catch (error) {
+    console.error('Error converting ODS to Markdown:', error);
+    throw error;
+  }
+}
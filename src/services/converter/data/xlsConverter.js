@@ -0,0 +1,23 @@
+// services/converter/data/xlsConverter.js
+
+import xlsx from 'xlsx';
+import { workbookToMarkdown, WORKBOOK_READ_OPTIONS } from './xlsxConverter.js';
+
+/**
+ * Converts a legacy Excel (.xls) buffer to Markdown, one table per sheet.
+ * @param {Buffer} input - The XLS file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see workbookToMarkdown.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertXlsToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    // SheetJS reads BIFF5/BIFF8 workbooks natively
+    const workbook = xlsx.read(input, WORKBOOK_READ_OPTIONS);
+    return workbookToMarkdown(workbook, originalName, 'xls', options);
+  } catch (error) {
+    console.error('Error converting XLS to Markdown:', error);
+    throw error;
+  }
+}
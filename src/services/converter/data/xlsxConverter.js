@@ -1,89 +1,251 @@
 // services/converter/data/xlsxConverter.js
 
 import xlsx from 'xlsx';
+import { buildRowNotes } from '../../../utils/rowNotes.js';
+
+const FORMULA_MODES = ['column', 'footnote'];
+
+/**
+ * SheetJS read options shared by the spreadsheet converters. Number formats
+ * give formatted values, styles give hidden rows and columns.
+ */
+export const WORKBOOK_READ_OPTIONS = {
+  type: 'buffer',
+  cellFormula: true,
+  cellNF: true,
+  cellStyles: true
+};
 
 /**
  * Converts an XLSX buffer or string to Markdown format.
  * @param {Buffer|string} input - The XLSX content as a buffer or string (file path not used).
  * @param {string} originalName - Original filename for context.
  * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see workbookToMarkdown.
  * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
  */
-export async function convertXlsxToMarkdown(input, originalName, apiKey) {
+export async function convertXlsxToMarkdown(input, originalName, apiKey, options = {}) {
   try {
-    const workbook = xlsx.read(input, { type: 'buffer' });
-    
-    // Create frontmatter with workbook info
-    const frontmatter = [
-      '---',
-      `source: ${originalName}`,
-      `type: spreadsheet`,
-      `format: xlsx`,
-      `sheets: ${workbook.SheetNames.length}`,
-      `created: ${new Date().toISOString()}`,
-      '---',
-      ''
-    ].join('\n');
-
-    // Table of contents for sheets
-    let markdownContent = `# ${originalName}\n\n`;
-    markdownContent += '## Sheet Index\n\n';
-    workbook.SheetNames.forEach(sheetName => {
-      markdownContent += `- [[#${sheetName}|${sheetName}]]\n`;
+    const workbook = xlsx.read(input, WORKBOOK_READ_OPTIONS);
+    return workbookToMarkdown(workbook, originalName, 'xlsx', options);
+  } catch (error) {
+    console.error('Error converting XLSX to Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {string} value - Cell text
+ * @returns {string} Single-line cell text
+ */
+function escapeCell(value) {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Counts the columns of the widest row. Reduces rather than spreading rows
+ * into Math.max, which overflows the call stack on large sheets.
+ * @param {Array<Array>} rows - Table rows
+ * @returns {number} Column count
+ */
+function countColumns(rows) {
+  return rows.reduce((count, row) => Math.max(count, row.length), 0);
+}
+
+/**
+ * Reads a sheet into a grid of cell texts and formulas, applying the
+ * merged-cell and hidden-row options
+ * @param {Object} sheet - SheetJS worksheet.
+ * @param {Object} options - Conversion options.
+ * @returns {Array<Array<Object>>} Rows of { text, formula }
+ */
+function readSheetGrid(sheet, options = {}) {
+  if (!sheet['!ref']) return [];
+
+  const range = xlsx.utils.decode_range(sheet['!ref']);
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = sheet[xlsx.utils.encode_cell({ r, c })];
+      const value = cell && (options.formattedValues === false || cell.w === undefined ? cell.v : cell.w);
+      row.push({
+        text: value === undefined || value === null ? '' : String(value),
+        formula: cell?.f ? `=${cell.f}` : null
+      });
+    }
+    grid.push(row);
+  }
+
+  // Only the top-left cell of a merge holds a value; copy it across the range
+  if (options.expandMerged) {
+    (sheet['!merges'] || []).forEach(merge => {
+      const source = grid[merge.s.r - range.s.r]?.[merge.s.c - range.s.c];
+      for (let r = merge.s.r; r <= merge.e.r; r++) {
+        for (let c = merge.s.c; c <= merge.e.c; c++) {
+          const target = grid[r - range.s.r]?.[c - range.s.c];
+          if (source && target && target !== source) {
+            target.text = source.text;
+          }
+        }
+      }
     });
-    markdownContent += '\n---\n\n';
+  }
 
-    // Convert each sheet
-    workbook.SheetNames.forEach(sheetName => {
-      const sheet = workbook.Sheets[sheetName];
-      const jsonData = xlsx.utils.sheet_to_json(sheet, { header: 1 });
-      
-      if (jsonData.length === 0) {
-        markdownContent += `## ${sheetName}\n\nThis sheet is empty.\n\n`;
-        return;
+  if (options.skipHidden) {
+    const hiddenRows = sheet['!rows'] || [];
+    const hiddenColumns = (sheet['!cols'] || [])
+      .map((column, index) => column?.hidden ? index - range.s.c : -1)
+      .filter(index => index >= 0);
+    return grid
+      .filter((_, index) => !hiddenRows[index + range.s.r]?.hidden)
+      .map(row => row.filter((_, index) => !hiddenColumns.includes(index)));
+  }
+
+  return grid;
+}
+
+/**
+ * Renders a sheet grid as a Markdown table. The first row is the header.
+ * Formulas are shown in an extra column after each column that has any,
+ * or as footnotes on their cells.
+ * @param {Array<Array<Object>>} grid - Rows from readSheetGrid.
+ * @param {Object} options - Conversion options.
+ * @param {Array<string>} footnotes - Collects footnote definitions across sheets.
+ * @returns {string} Markdown table.
+ */
+function renderSheetTable(grid, options, footnotes) {
+  const columnCount = countColumns(grid);
+  const formulaColumns = new Set();
+  if (options.formulas === 'column') {
+    grid.slice(1).forEach(row => row.forEach((cell, index) => {
+      if (cell.formula) formulaColumns.add(index);
+    }));
+  }
+
+  const rows = grid.map((row, rowIndex) => {
+    const cells = [];
+    for (let index = 0; index < columnCount; index++) {
+      const cell = row[index] || { text: '', formula: null };
+      let text = escapeCell(cell.text);
+      if (options.formulas === 'footnote' && cell.formula) {
+        footnotes.push(`[^f${footnotes.length + 1}]: \`${cell.formula}\``);
+        text += `[^f${footnotes.length}]`;
       }
+      cells.push(text);
 
-      const headers = jsonData[0];
-      
-      // Calculate column widths for better formatting
-      const columnWidths = headers.map((_, colIndex) => {
-        return Math.max(
-          String(headers[colIndex] || '').length,
-          ...jsonData.slice(1).map(row => String(row[colIndex] || '').length)
-        );
-      });
+      if (formulaColumns.has(index)) {
+        cells.push(rowIndex === 0
+          ? `${text || `Column ${index + 1}`} (formula)`
+          : cell.formula ? `\`${escapeCell(cell.formula)}\`` : '');
+      }
+    }
+    return cells;
+  });
 
-      // Add sheet header with metadata
-      markdownContent += `## ${sheetName}\n\n`;
-      markdownContent += `Rows: ${jsonData.length - 1}\n`;
-      markdownContent += `Columns: ${headers.length}\n\n`;
-
-      // Create table header
-      markdownContent += '| ' + headers.map((header, i) => 
-        String(header).padEnd(columnWidths[i])
-      ).join(' | ') + ' |\n';
-      
-      markdownContent += '| ' + columnWidths.map(width => 
-        '-'.repeat(width)
-      ).join(' | ') + ' |\n';
-
-      // Add data rows
-      jsonData.slice(1).forEach(row => {
-        const formattedRow = headers.map((_, i) => 
-          String(row[i] || '').padEnd(columnWidths[i])
-        ).join(' | ');
-        markdownContent += `| ${formattedRow} |\n`;
-      });
+  // Calculate column widths for better formatting
+  const columnWidths = rows[0].map((_, index) =>
+    rows.reduce((width, row) => Math.max(width, row[index].length), 3));
+  const line = cells => `| ${cells.map((cell, index) => cell.padEnd(columnWidths[index])).join(' | ')} |\n`;
+
+  return line(rows[0]) +
+    line(columnWidths.map(width => '-'.repeat(width))) +
+    rows.slice(1).map(line).join('');
+}
+
+/**
+ * Renders a parsed workbook as Markdown with one table per sheet.
+ * @param {Object} workbook - Workbook parsed by SheetJS.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} format - Source format recorded in the frontmatter.
+ * @param {Object} [options] - Conversion options.
+ * @param {boolean} [options.formattedValues=true] - Show values as formatted in the workbook,
+ *   e.g. dates and currency; false shows the raw stored values.
+ * @param {string} [options.formulas] - 'column' adds a formula column after each column with
+ *   formulas, 'footnote' attaches each formula to its cell as a footnote.
+ * @param {boolean} [options.expandMerged] - Repeat a merged cell's value in every cell it covers.
+ * @param {boolean} [options.skipHidden] - Leave out hidden sheets, rows and columns.
+ * @param {string} [options.mode] - 'notes' writes one note per row of a sheet plus an index
+ *   note with a Dataview query.
+ * @param {string} [options.sheet] - Sheet to use in notes mode; defaults to the first.
+ * @param {string} [options.titleColumn] - Column naming each row note; defaults to the first.
+ * @param {string} [options.bodyColumn] - Column holding each row note's text.
+ * @returns {{ content: string, images: Array, files?: Array }} - Converted content and images.
+ */
+export function workbookToMarkdown(workbook, originalName, format, options = {}) {
+  if (options.formulas && !FORMULA_MODES.includes(options.formulas)) {
+    throw new Error(`Invalid formulas mode: ${options.formulas}. Expected one of ${FORMULA_MODES.join(', ')}`);
+  }
 
-      markdownContent += '\n---\n\n';
+  // Hidden is 1 for hidden and 2 for very hidden sheets
+  const sheetNames = workbook.SheetNames.filter((_, index) =>
+    !options.skipHidden || !workbook.Workbook?.Sheets?.[index]?.Hidden);
+
+  if (options.mode === 'notes') {
+    const sheetName = options.sheet ?? sheetNames[0];
+    if (!sheetNames.includes(sheetName)) {
+      throw new Error(`Sheet not found: ${sheetName}`);
+    }
+    const [headers = [], ...rows] = readSheetGrid(workbook.Sheets[sheetName], options)
+      .map(row => row.map(cell => cell.text));
+    return buildRowNotes(headers, rows, {
+      originalName,
+      format,
+      titleColumn: options.titleColumn,
+      bodyColumn: options.bodyColumn
     });
+  }
 
-    return { 
-      content: frontmatter + markdownContent,
-      images: [] 
-    };
-  } catch (error) {
-    console.error('Error converting XLSX to Markdown:', error);
-    throw error;
+  // Create frontmatter with workbook info
+  const frontmatter = [
+    '---',
+    `source: ${originalName}`,
+    `type: spreadsheet`,
+    `format: ${format}`,
+    `sheets: ${sheetNames.length}`,
+    ...(sheetNames.length < workbook.SheetNames.length
+      ? [`hidden_sheets: ${workbook.SheetNames.length - sheetNames.length}`]
+      : []),
+    `created: ${new Date().toISOString()}`,
+    '---',
+    ''
+  ].join('\n');
+
+  // Table of contents for sheets
+  let markdownContent = `# ${originalName}\n\n`;
+  markdownContent += '## Sheet Index\n\n';
+  sheetNames.forEach(sheetName => {
+    markdownContent += `- [[#${sheetName}|${sheetName}]]\n`;
+  });
+  markdownContent += '\n---\n\n';
+
+  // Convert each sheet
+  const footnotes = [];
+  sheetNames.forEach(sheetName => {
+    const grid = readSheetGrid(workbook.Sheets[sheetName], options);
+
+    if (grid.length === 0) {
+      markdownContent += `## ${sheetName}\n\nThis sheet is empty.\n\n`;
+      return;
+    }
+
+    // Add sheet header with metadata
+    markdownContent += `## ${sheetName}\n\n`;
+    markdownContent += `Rows: ${grid.length - 1}\n`;
+    markdownContent += `Columns: ${countColumns(grid)}\n\n`;
+
+    markdownContent += renderSheetTable(grid, options, footnotes);
+
+    markdownContent += '\n---\n\n';
+  });
+
+  if (footnotes.length > 0) {
+    markdownContent += `${footnotes.join('\n')}\n`;
   }
+
+  return {
+    content: frontmatter + markdownContent,
+    images: []
+  };
 }
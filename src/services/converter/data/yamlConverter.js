@@ -1,48 +1,35 @@
 // services/converter/data/yamlConverter.js
 
-import yaml from 'js-yaml';
+import YAML from 'yaml';
+import { structuredDataToMarkdown } from './jsonConverter.js';
 
 /**
  * Converts a YAML buffer or string to Markdown format.
  * @param {Buffer|string} input - The YAML content as a buffer or string.
  * @param {string} originalName - Original filename for context.
  * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, see structuredDataToMarkdown.
  * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
  */
-export async function convertYamlToMarkdown(input, originalName, apiKey) {
+export async function convertYamlToMarkdown(input, originalName, apiKey, options = {}) {
   try {
     // Convert buffer to string if necessary
     const yamlContent = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
 
-    // Parse the YAML data
-    const yamlData = yaml.load(yamlContent);
+    // Parse the YAML data; each document of a multi-document stream gets its own section
+    const documents = YAML.parseAllDocuments(yamlContent);
+    const failed = documents.find(document => document.errors.length > 0);
+    if (failed) {
+      throw failed.errors[0];
+    }
+    const yamlData = documents.length === 1
+      ? documents[0].toJS()
+      : Object.fromEntries(documents.map((document, index) => [`Document ${index + 1}`, document.toJS()]));
 
     // Reuse the JSON to Markdown conversion logic
-    const markdownContent = jsonToMarkdown(yamlData);
-
-    return { content: markdownContent, images: [] };
+    return structuredDataToMarkdown(yamlData ?? {}, originalName, 'yaml', options);
   } catch (error) {
     console.error('Error converting YAML to Markdown:', error);
     throw error;
   }
 }
-
-/**
- * Recursively converts JSON/YAML data to Markdown format.
- * @param {any} data - The data to convert.
- * @param {number} depth - The current depth for nested structures.
- * @returns {string} - The converted Markdown string.
- */
-function jsonToMarkdown(data, depth = 0) {
-  const indent = '  '.repeat(depth);
-
-  if (Array.isArray(data)) {
-    return data.map(item => `${indent}- ${jsonToMarkdown(item, depth + 1)}`).join('\n');
-  } else if (typeof data === 'object' && data !== null) {
-    return Object.entries(data)
-      .map(([key, value]) => `${indent}- **${key}**: ${jsonToMarkdown(value, depth + 1)}`)
-      .join('\n');
-  } else {
-    return String(data);
-  }
-}
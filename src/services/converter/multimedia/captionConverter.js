@@ -0,0 +1,232 @@
+// services/converter/multimedia/captionConverter.js
+
+import path from 'path';
+import { generateMarkdown } from '../../../utils/markdownGenerator.js';
+
+// A pause this long between cues starts a new paragraph (seconds)
+const PARAGRAPH_GAP = 2;
+// Paragraphs are split at the next sentence end after this long, and always after twice as long
+const PARAGRAPH_LENGTH = 30;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&nbsp;': ' ',
+  '&lrm;': '',
+  '&rlm;': ''
+};
+
+/**
+ * Parses an SRT (00:00:01,000) or WebVTT (00:01.000) timestamp
+ * @param {string} value - Timestamp text
+ * @returns {number|null} Seconds
+ */
+function parseTimestamp(value) {
+  const match = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/.exec(value);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Formats seconds as a HH:MM:SS marker
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+}
+
+/**
+ * Extracts the speaker and plain text of a cue, dropping styling tags
+ * @param {Array<string>} lines - Cue payload lines
+ * @returns {Object} { speaker, text }
+ */
+function readCueText(lines) {
+  const raw = lines.join(' ');
+  const voice = /<v(?:\.[\w.-]+)?\s+([^>]+)>/.exec(raw);
+
+  const text = raw
+    .replace(/\{\\[^}]*\}/g, '')   // SSA positioning codes some SRT files carry
+    .replace(/<[^>]*>/g, '')       // WebVTT voice/class/timestamp tags, SRT <i>/<font>
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { speaker: voice ? voice[1].trim() : null, text };
+}
+
+/**
+ * Parses SRT or WebVTT captions into cues
+ * @param {string} captions - Caption file contents
+ * @returns {Object} { cues, language }
+ */
+function parseCaptions(captions) {
+  const blocks = captions
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+
+  const cues = [];
+  let language = null;
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+    if (timingIndex === -1) {
+      // WebVTT header, NOTE, STYLE and REGION blocks carry no cues
+      const languageMatch = /^Language:\s*(\S+)/m.exec(block);
+      if (languageMatch && /^WEBVTT/.test(lines[0] || '')) {
+        language = languageMatch[1];
+      }
+      continue;
+    }
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    const { speaker, text } = readCueText(lines.slice(timingIndex + 1));
+
+    if (start === null || !text) continue;
+
+    // Auto-generated captions often repeat a cue while it scrolls
+    const previous = cues[cues.length - 1];
+    if (previous && previous.text === text) {
+      previous.end = Math.max(previous.end, end ?? start);
+      continue;
+    }
+
+    cues.push({ start, end: end ?? start, speaker, text });
+  }
+
+  return { cues, language };
+}
+
+/**
+ * Merges consecutive cues into timestamped paragraphs, breaking on pauses,
+ * speaker changes and sentence ends once a paragraph gets long
+ * @param {Array<Object>} cues - Parsed cues
+ * @returns {Array<Object>} Paragraphs with start, speaker and text
+ */
+function mergeCues(cues) {
+  const paragraphs = [];
+  let current = null;
+
+  for (const cue of cues) {
+    const length = current ? cue.start - current.start : 0;
+    const startsNew = !current ||
+      (cue.speaker && cue.speaker !== current.speaker) ||
+      cue.start - current.end >= PARAGRAPH_GAP ||
+      (length >= PARAGRAPH_LENGTH && /[.!?…]["')\]]?$/.test(current.text)) ||
+      length >= PARAGRAPH_LENGTH * 2;
+
+    if (startsNew) {
+      current = { start: cue.start, end: cue.end, speaker: cue.speaker, text: cue.text };
+      paragraphs.push(current);
+    } else {
+      current.text += ` ${cue.text}`;
+      current.end = Math.max(current.end, cue.end);
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Renders a timestamped line or paragraph
+ * @param {Object} entry - Cue or paragraph
+ * @returns {string} Markdown
+ */
+function renderEntry({ start, speaker, text }) {
+  return `**[${formatTimestamp(start)}]** ${speaker ? `**${speaker}:** ` : ''}${text}`;
+}
+
+/**
+ * Converts caption cues to a transcript note in the same shape as the
+ * audio and video transcriptions
+ * @param {Buffer|string} input - The caption file
+ * @param {string} originalName - Original filename
+ * @param {string} format - srt or vtt
+ * @param {Object} options - Conversion options
+ * @returns {Object} Converted content
+ */
+function captionsToMarkdown(input, originalName, format, options) {
+  const captions = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
+  const { cues, language } = parseCaptions(captions);
+
+  if (cues.length === 0) {
+    throw new Error('No caption cues found');
+  }
+
+  // One cue per line keeps the original timing; the default reads like a transcript
+  const content = options.cuePerLine
+    ? [cues.map(renderEntry).join('\n')]
+    : mergeCues(cues).map(renderEntry);
+
+  const markdown = generateMarkdown({
+    title: `Transcript: ${path.basename(originalName, path.extname(originalName))}`,
+    content,
+    metadata: {
+      source: originalName,
+      type: 'caption-transcript',
+      format,
+      ...(language && { language }),
+      cues: cues.length,
+      duration: formatTimestamp(Math.max(...cues.map(cue => cue.end))),
+      created: new Date().toISOString()
+    }
+  });
+
+  console.log('✅ Captions converted:', { originalName, format, cues: cues.length });
+
+  return {
+    success: true,
+    content: markdown,
+    images: []
+  };
+}
+
+/**
+ * Converts an SRT subtitle file to a timestamped transcript note.
+ * @param {Buffer|string} input - The SRT content as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options.
+ * @param {boolean} [options.cuePerLine] - Keep one cue per line instead of merging paragraphs.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertSrtToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    return captionsToMarkdown(input, originalName, 'srt', options);
+  } catch (error) {
+    console.error('Error converting SRT to Markdown:', error);
+    throw new Error(`SRT conversion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Converts a WebVTT caption file to a timestamped transcript note.
+ * @param {Buffer|string} input - The VTT content as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options.
+ * @param {boolean} [options.cuePerLine] - Keep one cue per line instead of merging paragraphs.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertVttToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const captions = Buffer.isBuffer(input) ? input.toString('utf-8') : input;
+    if (!/^(\uFEFF)?WEBVTT/.test(captions)) {
+      throw new Error('Invalid WebVTT format: Missing WEBVTT header');
+    }
+    return captionsToMarkdown(captions, originalName, 'vtt', options);
+  } catch (error) {
+    console.error('Error converting VTT to Markdown:', error);
+    throw new Error(`VTT conversion failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,85 @@
+// services/converter/multimedia/imageConverter.js
+
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import { recognizeText } from '../../../utils/ocr.js';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  webp: 'image/webp'
+};
+
+// Below this mean confidence the note flags the text for review
+const LOW_CONFIDENCE = 60;
+
+/**
+ * Converts an image (screenshot, photo or scan) to a note holding the
+ * OCR text, with the original image embedded as an attachment.
+ * @param {Buffer} input - The image buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.ocrLanguage] - Tesseract language codes, e.g. "eng+deu".
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertImageToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    if (!Buffer.isBuffer(input) || input.length === 0) {
+      throw new Error('Invalid or empty image buffer');
+    }
+
+    const extension = path.extname(originalName).slice(1).toLowerCase();
+    const baseName = path.basename(originalName, path.extname(originalName));
+    const imageName = sanitizeFilename(originalName) || `image.${extension}`;
+
+    console.log('🔍 Running OCR on image:', { originalName, size: input.length });
+    const { text, confidence, language } = await recognizeText(input, { language: options.ocrLanguage });
+
+    const frontmatter = formatMetadata({
+      title: baseName,
+      source: originalName,
+      type: 'image-ocr',
+      format: extension,
+      ocrEngine: 'tesseract.js',
+      ocrLanguage: language,
+      ocrConfidence: confidence,
+      created: new Date().toISOString()
+    });
+
+    const markdown = [
+      frontmatter,
+      `# ${baseName}`,
+      '',
+      `![[${imageName}]]`,
+      '',
+      '## Recognized Text',
+      '',
+      text && confidence < LOW_CONFIDENCE
+        ? `> [!warning] Low OCR confidence (${confidence}%)\n> Check the text against the image.\n`
+        : null,
+      text || '*No text recognized*',
+      ''
+    ].filter(line => line !== null).join('\n');
+
+    console.log('✅ Image OCR completed:', { originalName, confidence, characters: text.length });
+
+    return {
+      success: true,
+      content: markdown,
+      images: [{
+        name: imageName,
+        data: input.toString('base64'),
+        type: IMAGE_MIME_TYPES[extension] || 'application/octet-stream',
+        path: `attachments/${baseName}/${imageName}`
+      }]
+    };
+  } catch (error) {
+    console.error('Error converting image to Markdown:', error);
+    throw new Error(`Image conversion failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,406 @@
+// services/converter/text/academicPaper.js
+
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+
+// Headings papers use without numbering
+const KNOWN_SECTIONS = /^(abstract|introduction|related work|background|preliminaries|methods?|methodology|materials and methods|experiments?|evaluation|results|results and discussion|discussion|conclusions?|conclusions and future work|future work|limitations|acknowledge?ments?|references|bibliography|works cited|literature cited|appendix(\s+[a-z])?(\s*[:.—–-]\s*.+)?)$/i;
+const REFERENCE_SECTION = /^(references|bibliography|works cited|literature cited)$/i;
+const AFFILIATION = /@|\b(univ|universit|institut|department|dept|school|laborator|college|cent(er|re)|faculty|hospital|inc|ltd|gmbh|corresponding|email)/i;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/gi;
+const PAGE_NUMBER = /^((page|p\.)\s*)?\d{1,4}(\s*(of|\/)\s*\d{1,4})?$|^[ivxlc]{1,6}$/i;
+
+/**
+ * Trims the punctuation that follows a DOI in running text
+ * @param {string} doi - DOI as matched
+ * @returns {string} Clean DOI
+ */
+function cleanDoi(doi) {
+  return doi.replace(/[.,;:)\]]+$/, '');
+}
+
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Joins text lines into flowing text, rejoining words hyphenated across
+ * line breaks
+ * @param {Array<string>} lines - Text lines
+ * @returns {string} Paragraph text
+ */
+function joinLines(lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n')
+    // "meth-\nods" is one word; "state-of-\nthe-art" keeps its hyphens
+    .replace(/([\p{L}-]+)-\n(\p{Ll})/gu, (match, word, next) => `${word}${word.includes('-') ? '-' : ''}${next}`)
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Reflows a block of lines into paragraphs. Table rows and fenced blocks
+ * keep their line breaks and stand apart from the text around them.
+ * @param {Array<string>} lines - Text lines
+ * @returns {string} Paragraph text
+ */
+function reflow(lines) {
+  const parts = [];
+  let run = [];
+  let verbatimRun = false;
+  let inFence = false;
+
+  const flushRun = () => {
+    const text = verbatimRun ? run.join('\n') : joinLines(run);
+    if (text.trim()) parts.push(text);
+    run = [];
+  };
+
+  for (const line of lines) {
+    const fence = FENCE.test(line);
+    const verbatim = inFence || fence || line.trim().startsWith('|');
+    if (fence) inFence = !inFence;
+    if (verbatim !== verbatimRun) {
+      flushRun();
+      verbatimRun = verbatim;
+    }
+    run.push(verbatim ? line.trimEnd() : line);
+  }
+  flushRun();
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Recognises a section heading line
+ * @param {string} line - Text line
+ * @returns {Object|null} { level, text } with level 1 for top-level sections
+ */
+function matchHeading(line) {
+  const text = line.trim();
+  if (!text || text.length > 90 || text.startsWith('|')) return null;
+
+  const numbered = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\p{Lu}[^]*)$/u.exec(text);
+  if (numbered && !/[.,;:]$/.test(numbered[2]) && numbered[2].split(/\s+/).length <= 10) {
+    return { level: numbered[1].split('.').length, text };
+  }
+
+  const roman = /^([IVX]{1,5})\.\s+(\p{Lu}[^]*)$/u.exec(text);
+  if (roman && !/[.,;:]$/.test(roman[2]) && roman[2].split(/\s+/).length <= 10) {
+    return { level: 1, text };
+  }
+
+  if (KNOWN_SECTIONS.test(text)) {
+    return { level: 1, text };
+  }
+
+  return null;
+}
+
+/**
+ * Drops running headers, footers and page numbers: lines near the top or
+ * bottom of a page that repeat across most pages once digits are ignored
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Array<Array<string>>} Remaining lines of each page
+ */
+function stripRunningLines(pageTexts) {
+  const pages = pageTexts.map(text => text.split('\n'));
+  const key = line => line.trim().toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+  const edgeIndexes = lines => {
+    const filled = lines.map((line, index) => line.trim() ? index : -1).filter(index => index !== -1);
+    return new Set([...filled.slice(0, 3), ...filled.slice(-3)]);
+  };
+
+  const counts = new Map();
+  for (const lines of pages) {
+    const keys = new Set([...edgeIndexes(lines)].map(index => key(lines[index])));
+    keys.forEach(lineKey => counts.set(lineKey, (counts.get(lineKey) || 0) + 1));
+  }
+  // Journals often leave the running header off the first page
+  const threshold = Math.max(2, Math.ceil(pages.length / 3));
+
+  return pages.map(lines => {
+    const edges = edgeIndexes(lines);
+    return lines.filter((line, index) => {
+      if (!edges.has(index)) return true;
+      const lineKey = key(line);
+      if (PAGE_NUMBER.test(line.trim())) return false;
+      return !(lineKey.length > 3 && (counts.get(lineKey) || 0) >= threshold);
+    });
+  });
+}
+
+/**
+ * Finds the title from the largest type near the top of the first page,
+ * falling back to the document information and then the first line
+ * @param {Array<Object>} words - First-page words from pdftotext -bbox
+ * @param {Array<string>} lines - First-page lines
+ * @param {string} infoTitle - Title from the document information
+ * @returns {string} Title
+ */
+function findTitle(words, lines, infoTitle) {
+  if (words.length > 0) {
+    const largest = Math.max(...words.map(word => word.yMax - word.yMin));
+    const candidates = words
+      .filter(word => word.yMax - word.yMin >= largest * 0.9)
+      .sort((a, b) => a.yMin - b.yMin || a.xMin - b.xMin);
+
+    // The title is the first run of largest-type lines; a later run is usually a heading
+    const titleWords = [];
+    for (const word of candidates) {
+      const previous = titleWords[titleWords.length - 1];
+      if (previous && word.yMin - previous.yMax > largest * 1.5) break;
+      titleWords.push(word);
+    }
+
+    if (titleWords.length >= 2) {
+      return titleWords.map(word => word.text).join(' ');
+    }
+  }
+
+  // Word processors and TeX often leave a file name or placeholder here
+  if (infoTitle && infoTitle.length > 10 && !/^(untitled|microsoft word)|\.(docx?|tex|dvi|pdf)$/i.test(infoTitle)) {
+    return infoTitle;
+  }
+
+  return lines.find(line => line.trim())?.trim() || '';
+}
+
+/**
+ * Reads author names from the lines between the title and the abstract,
+ * skipping affiliations, e-mail addresses and footnote marks
+ * @param {Array<string>} lines - Front matter lines after the title
+ * @param {string} infoAuthor - Author from the document information
+ * @returns {Array<string>} Author names
+ */
+function findAuthors(lines, infoAuthor) {
+  const name = /^\p{Lu}[\p{L}'’.-]*(\s+\p{Lu}[\p{L}'’.-]*){1,3}$/u;
+  const authors = [];
+
+  for (const line of lines) {
+    if (AFFILIATION.test(line)) {
+      if (authors.length > 0) break;
+      continue;
+    }
+    const names = line
+      .replace(/[\d*†‡§¶∗,]+(?=\s|,|$)/g, ',')
+      .split(/,|;|\band\b|&/)
+      .map(part => part.trim())
+      .filter(Boolean);
+    if (names.length > 0 && names.every(part => name.test(part))) {
+      authors.push(...names);
+    } else if (authors.length > 0) {
+      break;
+    }
+  }
+
+  if (authors.length === 0 && infoAuthor) {
+    return infoAuthor.split(/;|,|\band\b|&/).map(part => part.trim()).filter(Boolean);
+  }
+  return authors;
+}
+
+/**
+ * Splits the reference section into entries: [1] and "1." numbering where
+ * present, otherwise a new entry at each "Surname, X." line that follows a
+ * finished entry
+ * @param {Array<string>} lines - Reference section lines
+ * @returns {Array<string>} Reference entries
+ */
+function splitReferences(lines) {
+  const filled = lines.map(line => line.trim()).filter(Boolean);
+  const bracketed = filled.filter(line => /^\[\d+\]/.test(line)).length;
+  const numbered = filled.filter(line => /^\d{1,3}\.\s/.test(line)).length;
+
+  let startsEntry;
+  if (bracketed >= 2) {
+    startsEntry = line => /^\[\d+\]/.test(line);
+  } else if (numbered >= 2) {
+    startsEntry = line => /^\d{1,3}\.\s/.test(line);
+  } else {
+    startsEntry = (line, previous) => /[.)]$/.test(previous) &&
+      /^\p{Lu}[\p{L}'’-]+,\s*\p{Lu}/u.test(line);
+  }
+
+  const entries = [];
+  let current = [];
+  filled.forEach((line, index) => {
+    if (current.length > 0 && startsEntry(line, filled[index - 1])) {
+      entries.push(current);
+      current = [];
+    }
+    current.push(line);
+  });
+  if (current.length > 0) entries.push(current);
+
+  return entries
+    .map(entry => reflow(entry).replace(/^(\[\d+\]|\d{1,3}\.)\s*/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Links the DOIs, arXiv identifiers and URLs in a reference
+ * @param {string} reference - Reference text
+ * @returns {string} Markdown with links
+ */
+function linkReference(reference) {
+  return reference
+    .replace(/(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)?(10\.\d{4,9}\/[^\s"<>]+)/gi, (match, doi) => {
+      const clean = cleanDoi(doi);
+      return `[doi:${clean}](https://doi.org/${clean})${doi.slice(clean.length)}`;
+    })
+    .replace(/arXiv:\s*(\d{4}\.\d{4,5})(v\d+)?/g, (match, id, version = '') =>
+      `[arXiv:${id}${version}](https://arxiv.org/abs/${id}${version})`)
+    .replace(/(^|\s)(https?:\/\/(?!(?:dx\.)?doi\.org)[^\s<>]+?)([.,;)]?)(?=\s|$)/g, '$1<$2>$3');
+}
+
+/**
+ * Builds a literature note from the text of an academic paper: bibliographic
+ * frontmatter, the abstract, the sections under their headings and a linked
+ * reference list, with running headers, footers and page numbers removed
+ * @param {Object} paper
+ * @param {Array<string>} paper.pageTexts - Text of each page
+ * @param {Array<Array<Object>>} paper.wordBoxes - Words of each page from pdftotext -bbox
+ * @param {Object} paper.info - Document information from pdfinfo
+ * @param {string} paper.originalName - Original filename
+ * @param {Array<string>} [paper.figures] - Markdown image links
+ * @param {boolean} [paper.ocr] - Whether the text came from OCR
+ * @returns {Object} { content, references }
+ */
+export function buildLiteratureNote({ pageTexts, wordBoxes, info, originalName, figures = [], ocr = false }) {
+  const pages = stripRunningLines(pageTexts);
+  const lines = pages.flat();
+  const firstPage = pages[0] || [];
+
+  const title = findTitle(wordBoxes[0] || [], firstPage, info.title);
+
+  // Front matter runs from the title to the abstract or first section
+  const titleKey = title.toLowerCase().replace(/\s+/g, '');
+  let frontStart = 0;
+  while (frontStart < firstPage.length &&
+    (!firstPage[frontStart].trim() || titleKey.includes(firstPage[frontStart].toLowerCase().replace(/\s+/g, '')))) {
+    frontStart++;
+  }
+  const abstractIndex = lines.findIndex(line => /^\s*abstract\b/i.test(line));
+  const firstHeading = lines.findIndex((line, index) => index >= frontStart && matchHeading(line));
+  const bodyStart = abstractIndex !== -1 ? abstractIndex : (firstHeading !== -1 ? firstHeading : frontStart);
+  const frontLines = lines.slice(frontStart, Math.max(bodyStart, frontStart)).filter(line => line.trim());
+
+  const authors = findAuthors(frontLines, info.author);
+  const frontText = [...frontLines, ...lines.slice(bodyStart, bodyStart + 60)].join('\n');
+  const doiMatch = frontText.match(DOI_PATTERN);
+  const doi = doiMatch ? cleanDoi(doiMatch[0]) : '';
+  const yearMatch = /(?:©|\(c\)|copyright|published|received|accepted)[^\n]*?\b((?:19|20)\d{2})\b/i.exec(frontText) ||
+    /\b((?:19|20)\d{2})\b/.exec(info.creationDate);
+
+  // Sections run from the abstract to the reference list
+  const sections = [];
+  let references = [];
+  let keywords = [];
+  let current = null;
+  let block = [];
+  let inReferences = false;
+  let inFence = false;
+  const referenceLines = [];
+
+  const flushBlock = () => {
+    const text = reflow(block);
+    if (text && current) current.paragraphs.push(text);
+    block = [];
+  };
+
+  for (const line of lines.slice(bodyStart)) {
+    // Fenced blocks keep their blank lines and are never read as headings
+    if (!inReferences && (inFence || FENCE.test(line))) {
+      if (FENCE.test(line)) inFence = !inFence;
+      if (!current) {
+        current = { level: 1, heading: null, paragraphs: [] };
+        sections.push(current);
+      }
+      block.push(line);
+      continue;
+    }
+
+    const keywordMatch = /^\s*(keywords|key words|index terms)\s*[:—–-]\s*(.+)$/i.exec(line);
+    if (keywordMatch && keywords.length === 0) {
+      keywords = keywordMatch[2].split(/[,;·•]/).map(keyword => keyword.trim().replace(/\.$/, '')).filter(Boolean);
+      continue;
+    }
+
+    const abstractMatch = sections.length === 0 && /^\s*abstract\b[\s.:—–-]*(.*)$/i.exec(line);
+    if (abstractMatch) {
+      current = { level: 1, heading: 'Abstract', paragraphs: [] };
+      sections.push(current);
+      if (abstractMatch[1]) block.push(abstractMatch[1]);
+      continue;
+    }
+
+    const heading = matchHeading(line);
+    if (heading) {
+      flushBlock();
+      if (REFERENCE_SECTION.test(heading.text)) {
+        inReferences = true;
+        continue;
+      }
+      // Appendices follow the references
+      inReferences = false;
+      current = { level: heading.level, heading: heading.text, paragraphs: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (inReferences) {
+      referenceLines.push(line);
+      continue;
+    }
+
+    // Identifier and copyright lines belong to the front matter, not the text
+    if (/^\s*((https?:\/\/(dx\.)?doi\.org\/|doi:)\S+|(©|\(c\)|copyright)\s.*)$/i.test(line)) {
+      continue;
+    }
+
+    if (!current) {
+      current = { level: 1, heading: null, paragraphs: [] };
+      sections.push(current);
+    }
+
+    if (line.trim()) {
+      block.push(line);
+    } else {
+      flushBlock();
+    }
+  }
+  flushBlock();
+  references = splitReferences(referenceLines);
+
+  const frontmatter = formatMetadata({
+    title,
+    authors,
+    year: yearMatch ? yearMatch[1] : '',
+    doi,
+    keywords,
+    type: 'literature-note',
+    source: originalName,
+    pages: pageTexts.length,
+    references: references.length,
+    ocr: ocr || '',
+    created: new Date().toISOString()
+  });
+
+  const content = [
+    frontmatter,
+    `# ${title}`,
+    '',
+    authors.length ? `**Authors:** ${authors.join(', ')}\n` : null,
+    doi ? `**DOI:** [${doi}](https://doi.org/${doi})\n` : null,
+    ...sections.flatMap(section => [
+      section.heading ? `${'#'.repeat(Math.min(section.level + 1, 6))} ${section.heading}\n` : null,
+      ...section.paragraphs.map(paragraph => `${paragraph}\n`)
+    ]),
+    references.length ? '## References\n' : null,
+    ...references.map((reference, index) => `${index + 1}. ${linkReference(reference)} ^ref-${index + 1}`),
+    references.length ? '' : null,
+    figures.length ? '## Figures\n' : null,
+    figures.length ? `${figures.join('\n\n')}\n` : null
+  ].filter(line => line !== null).join('\n');
+
+  return { content, references: references.length };
+}
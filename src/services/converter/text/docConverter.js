@@ -0,0 +1,29 @@
+// services/converter/text/docConverter.js
+
+import { convertWithLibreOffice } from '../../../utils/libreOffice.js';
+import { convertDocxToMarkdown } from './docxConverter.js';
+
+const OLE2_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0]);
+
+/**
+ * Converts a legacy Word (.doc) buffer to Markdown by upgrading it to DOCX
+ * with LibreOffice, so the output matches the DOCX converter.
+ * @param {Buffer} input - The DOC file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, passed on to the DOCX converter.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertDocToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    if (!Buffer.isBuffer(input) || !input.subarray(0, 4).equals(OLE2_SIGNATURE)) {
+      throw new Error('Invalid DOC format: Incorrect file signature');
+    }
+
+    const docxBuffer = await convertWithLibreOffice(input, 'doc', 'docx');
+    return await convertDocxToMarkdown(docxBuffer, originalName, apiKey, options);
+  } catch (error) {
+    console.error('Error converting DOC:', error);
+    throw new Error(`DOC conversion failed: ${error.message}`);
+  }
+}
@@ -2,15 +2,522 @@
 
 import mammoth from 'mammoth';
 import path from 'path';
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
 import { v4 as uuidv4 } from 'uuid';
+import { createTurndownService, htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+import { getStyleMapPreset, normalizeStyleMap } from '../../styleMapPresets.js';
+
+// Placeholders survive Turndown untouched and are swapped for Markdown afterwards
+const NOTE_TOKEN = 'DOCXNOTE';
+const COMMENT_TOKEN = 'DOCXCOMMENT';
+const INSERT_TOKEN = 'DOCXINS';
+const DELETE_TOKEN = 'DOCXDEL';
+const TABLE_TOKEN = 'DOCXTABLE';
+
+const TRACK_CHANGES_MODES = ['accept', 'reject', 'show'];
+
+// Applied after any request or preset rules, which take precedence
+const DEFAULT_STYLE_MAP = [
+  "p[style-name='Section Title'] => h1",
+  "p[style-name='Subsection Title'] => h2"
+];
+
+// Style IDs assigned to paragraphs the heading heuristic promotes
+const PROMOTED_STYLE_PREFIX = 'ConverterHeading';
+const MAX_PROMOTED_HEADING_LENGTH = 120;
+const MAX_PROMOTED_HEADING_LEVELS = 3;
+
+/**
+ * Resolves tracked changes in the document XML before mammoth reads it.
+ * Mammoth keeps insertions and drops deletions on its own, so rejecting or
+ * showing revisions means rewriting them first. In show mode each revision
+ * is wrapped in placeholder runs and recorded for attribution.
+ * @param {Buffer} buffer - The DOCX file buffer
+ * @param {string} mode - 'accept', 'reject' or 'show'
+ * @returns {Promise<Object>} { buffer, changes: [{ type, author, date }] }
+ */
+async function applyTrackChanges(buffer, mode) {
+  const zip = await JSZip.loadAsync(buffer);
+  const changes = [];
+
+  for (const name of ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml']) {
+    const file = zip.file(name);
+    if (!file) continue;
+
+    const $ = cheerio.load(await file.async('string'), { xmlMode: true });
+
+    // Markers on paragraph marks and table rows are empty; run-level revisions hold content
+    const isMarker = element => ['w:rPr', 'w:trPr'].includes(element.parent?.name);
+    const insertions = $('w\\:ins, w\\:moveTo').filter((_, element) => !isMarker(element));
+    const deletions = $('w\\:del, w\\:moveFrom').filter((_, element) => !isMarker(element));
+    const restoreDeletedText = () => {
+      deletions.find('w\\:delText').each((_, element) => { element.name = 'w:t'; });
+      deletions.find('w\\:delInstrText').each((_, element) => { element.name = 'w:instrText'; });
+    };
+
+    if (mode === 'accept') {
+      deletions.remove();
+    } else {
+      if (mode === 'reject') {
+        insertions.remove();
+        $('w\\:trPr > w\\:ins').closest('w\\:tr').remove();
+      } else {
+        $('w\\:ins, w\\:moveTo, w\\:del, w\\:moveFrom')
+          .filter((_, element) => !isMarker(element))
+          .each((_, element) => {
+            const $change = $(element);
+            const isDeletion = ['w:del', 'w:moveFrom'].includes(element.name);
+            const token = `${isDeletion ? DELETE_TOKEN : INSERT_TOKEN}${changes.length}`;
+            changes.push({
+              type: isDeletion ? 'deletion' : 'insertion',
+              author: $change.attr('w:author') || '',
+              date: $change.attr('w:date') || ''
+            });
+            $change.prepend(`<w:r><w:t>${token}S</w:t></w:r>`);
+            $change.append(`<w:r><w:t>${token}E</w:t></w:r>`);
+          });
+      }
+      restoreDeletedText();
+      // Keep paragraphs and rows whose deletion is not being accepted
+      $('w\\:rPr > w\\:del, w\\:trPr > w\\:del').remove();
+    }
+
+    // Mammoth skips deletions entirely, so whatever is left is unwrapped into plain runs
+    $('w\\:ins, w\\:moveTo, w\\:del, w\\:moveFrom')
+      .filter((_, element) => !isMarker(element))
+      .each((_, element) => { $(element).replaceWith($(element).contents()); });
+
+    zip.file(name, $.xml());
+  }
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    changes
+  };
+}
+
+/**
+ * Replaces show-mode revision placeholders with highlight and strikethrough
+ * markup, attributing each revision in an inline footnote
+ * @param {string} markdown - Converted Markdown
+ * @param {Array<Object>} changes - Revisions recorded by applyTrackChanges
+ * @returns {string} Markdown with revisions marked
+ */
+function markTrackedChanges(markdown, changes) {
+  const pattern = new RegExp(`(${INSERT_TOKEN}|${DELETE_TOKEN})(\\d+)S([^]*?)\\1\\2E`, 'g');
+  return markdown.replace(pattern, (match, token, id, text) => {
+    const change = changes[Number(id)];
+    const [, before, inner, after] = /^(\s*)([^]*?)(\s*)$/.exec(text);
+    if (!inner) return text;
+
+    const mark = token === INSERT_TOKEN ? '==' : '~~';
+    const attribution = [
+      change.type === 'insertion' ? 'Inserted' : 'Deleted',
+      change.author && `by ${change.author}`,
+      change.date && `on ${change.date.slice(0, 10)}`
+    ].filter(Boolean).join(' ');
+    return `${before}${mark}${inner}${mark}^[${attribution}]${after}`;
+  });
+}
+
+/**
+ * Builds the mammoth style map from the request's own rules, a saved preset
+ * and the defaults, in that order of precedence
+ * @param {Object} conversionOptions - Conversion options
+ * @returns {Promise<Array<string>>} Style mapping rules
+ */
+async function resolveStyleMap({ styleMap, styleMapPreset }) {
+  const rules = styleMap ? normalizeStyleMap(styleMap) : [];
+
+  if (styleMapPreset) {
+    const preset = await getStyleMapPreset(styleMapPreset);
+    if (!preset) {
+      throw new Error(`Unknown style map preset: ${styleMapPreset}`);
+    }
+    rules.push(...preset.styleMap);
+  }
+
+  return [...rules, ...DEFAULT_STYLE_MAP];
+}
+
+const isOn = element => element.length > 0 && !['0', 'false', 'off'].includes(element.attr('w:val'));
+
+/**
+ * Promotes bold, larger-than-body single-line paragraphs to headings when the
+ * document uses no heading styles, as in templates built on custom styles.
+ * Distinct font sizes map to heading levels, largest first.
+ * @param {Buffer} buffer - The DOCX file buffer
+ * @param {Array<string>} styleMap - Style mapping rules in use
+ * @returns {Promise<Object>} { buffer, styleMap: rules for promoted paragraphs, promoted: count }
+ */
+async function promoteHeadings(buffer, styleMap) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  const stylesXml = await zip.file('word/styles.xml')?.async('string');
+  if (!documentXml || !stylesXml) return { buffer, styleMap: [], promoted: 0 };
+
+  const $styles = cheerio.load(stylesXml, { xmlMode: true });
+  const styles = new Map();
+  let defaultParagraphStyle;
+  $styles('w\\:style').each((_, element) => {
+    const $style = $styles(element);
+    const id = $style.attr('w:styleId');
+    styles.set(id, {
+      name: $style.children('w\\:name').attr('w:val') || id,
+      basedOn: $style.children('w\\:basedOn').attr('w:val'),
+      bold: $style.find('w\\:rPr > w\\:b'),
+      size: Number($style.find('w\\:rPr > w\\:sz').attr('w:val')) || null,
+      outline: $style.find('w\\:pPr > w\\:outlineLvl').length > 0
+    });
+    if ($style.attr('w:type') === 'paragraph' && $style.attr('w:default') === '1') {
+      defaultParagraphStyle = id;
+    }
+  });
+  const defaultSize = Number($styles('w\\:docDefaults w\\:rPr > w\\:sz').attr('w:val')) || 20;
+
+  // Follows the basedOn chain until a style sets the property
+  const inherited = (id, property) => {
+    for (let depth = 0; id && styles.has(id) && depth < 20; depth++) {
+      const style = styles.get(id);
+      if (property === 'bold' ? style.bold.length > 0 : style[property]) {
+        return property === 'bold' ? isOn(style.bold) : style[property];
+      }
+      id = style.basedOn;
+    }
+    return undefined;
+  };
+
+  const mappedToHeading = styleMap
+    .filter(rule => /=>\s*h[1-6]\b/.test(rule))
+    .map(rule => rule.split('=>')[0]);
+  const isHeadingStyle = id => {
+    const name = styles.get(id)?.name || id;
+    return /^(heading [1-6]|title)$/i.test(name) ||
+      inherited(id, 'outline') ||
+      mappedToHeading.some(selector => selector.includes(`.${id}`) || selector.includes(`'${name}'`));
+  };
+
+  const $ = cheerio.load(documentXml, { xmlMode: true });
+  const paragraphs = $('w\\:body w\\:p').toArray().map(element => {
+    const $paragraph = $(element);
+    const styleId = $paragraph.find('> w\\:pPr > w\\:pStyle').attr('w:val') || defaultParagraphStyle;
+    const runs = $paragraph.find('w\\:r').toArray()
+      .map(run => $(run))
+      .filter($run => $run.find('w\\:t').text().trim());
+    return {
+      $paragraph,
+      styleId,
+      text: runs.map($run => $run.find('w\\:t').text()).join('').trim(),
+      runs: runs.map($run => {
+        const $bold = $run.find('> w\\:rPr > w\\:b');
+        return {
+          length: $run.find('w\\:t').text().length,
+          bold: $bold.length > 0 ? isOn($bold) : !!inherited(styleId, 'bold'),
+          size: Number($run.find('> w\\:rPr > w\\:sz').attr('w:val')) || inherited(styleId, 'size') || defaultSize
+        };
+      })
+    };
+  });
+
+  if (paragraphs.some(paragraph => paragraph.text && isHeadingStyle(paragraph.styleId))) {
+    return { buffer, styleMap: [], promoted: 0 };
+  }
+
+  // Body size is the one carrying the most text
+  const sizeWeights = new Map();
+  paragraphs.flatMap(paragraph => paragraph.runs).forEach(run => {
+    sizeWeights.set(run.size, (sizeWeights.get(run.size) || 0) + run.length);
+  });
+  const bodySize = [...sizeWeights].sort((a, b) => b[1] - a[1])[0]?.[0] || defaultSize;
+
+  const candidates = paragraphs
+    .filter(({ $paragraph, text, runs }) =>
+      text &&
+      text.length <= MAX_PROMOTED_HEADING_LENGTH &&
+      !/[.,;]$/.test(text) &&
+      $paragraph.closest('w\\:tbl').length === 0 &&
+      $paragraph.find('> w\\:pPr > w\\:numPr, w\\:br').length === 0 &&
+      runs.every(run => run.bold && run.size > bodySize))
+    .map(paragraph => ({ ...paragraph, size: Math.min(...paragraph.runs.map(run => run.size)) }));
+  if (candidates.length === 0) return { buffer, styleMap: [], promoted: 0 };
+
+  const sizes = [...new Set(candidates.map(candidate => candidate.size))].sort((a, b) => b - a);
+  const levels = new Set();
+  candidates.forEach(({ $paragraph, size }) => {
+    const level = Math.min(sizes.indexOf(size) + 1, MAX_PROMOTED_HEADING_LEVELS);
+    levels.add(level);
+    if ($paragraph.children('w\\:pPr').length === 0) {
+      $paragraph.prepend('<w:pPr></w:pPr>');
+    }
+    const $properties = $paragraph.children('w\\:pPr');
+    $properties.children('w\\:pStyle').remove();
+    $properties.prepend(`<w:pStyle w:val="${PROMOTED_STYLE_PREFIX}${level}"/>`);
+    // Headings carry their own weight; leftover bold would wrap them in **
+    $paragraph.find('w\\:r > w\\:rPr > w\\:b').remove();
+  });
+
+  // Declare the styles so mammoth does not warn about undefined references
+  levels.forEach(level => {
+    $styles('w\\:styles').append(
+      `<w:style w:type="paragraph" w:styleId="${PROMOTED_STYLE_PREFIX}${level}"><w:name w:val="${PROMOTED_STYLE_PREFIX} ${level}"/></w:style>`
+    );
+  });
+
+  zip.file('word/document.xml', $.xml());
+  zip.file('word/styles.xml', $styles.xml());
+
+  return {
+    buffer: await zip.generateAsync({ type: 'nodebuffer' }),
+    styleMap: [...levels].map(level => `p.${PROMOTED_STYLE_PREFIX}${level} => h${level}:fresh`),
+    promoted: candidates.length
+  };
+}
+
+/**
+ * Marks first rows that the table style formats as a header so mammoth emits
+ * them as <th>. Word styles header rows through the table style's firstRow
+ * formatting, switched on per table by tblLook, which mammoth ignores.
+ * @param {Buffer} buffer - The DOCX file buffer
+ * @returns {Promise<Buffer>} The buffer, with header rows marked
+ */
+async function markHeaderRows(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  const stylesXml = await zip.file('word/styles.xml')?.async('string');
+  if (!documentXml || !stylesXml) return buffer;
+
+  const $styles = cheerio.load(stylesXml, { xmlMode: true });
+  const tableStyles = new Map();
+  let defaultTableStyle;
+  $styles('w\\:style')
+    .filter((_, element) => $styles(element).attr('w:type') === 'table')
+    .each((_, element) => {
+      const $style = $styles(element);
+      const id = $style.attr('w:styleId');
+      tableStyles.set(id, {
+        basedOn: $style.children('w\\:basedOn').attr('w:val'),
+        firstRow: $style.children('w\\:tblStylePr')
+          .filter((_, conditional) => $styles(conditional).attr('w:type') === 'firstRow').length > 0
+      });
+      if ($style.attr('w:default') === '1') defaultTableStyle = id;
+    });
+
+  const formatsHeader = id => {
+    for (let depth = 0; id && tableStyles.has(id) && depth < 20; depth++) {
+      if (tableStyles.get(id).firstRow) return true;
+      id = tableStyles.get(id).basedOn;
+    }
+    return false;
+  };
+
+  const $ = cheerio.load(documentXml, { xmlMode: true });
+  let marked = 0;
+  $('w\\:tbl').each((_, element) => {
+    const $properties = $(element).children('w\\:tblPr');
+    const $look = $properties.children('w\\:tblLook');
+    const firstRow = $look.attr('w:firstRow');
+    const lookEnabled = firstRow !== undefined
+      ? ['1', 'true', 'on'].includes(firstRow)
+      : (parseInt($look.attr('w:val') || '0', 16) & 0x0020) !== 0;
+    const styleId = $properties.children('w\\:tblStyle').attr('w:val') || defaultTableStyle;
+    if (!lookEnabled || !formatsHeader(styleId)) return;
+
+    const $row = $(element).children('w\\:tr').first();
+    if ($row.length === 0 || $row.find('> w\\:trPr > w\\:tblHeader').length > 0) return;
+    if ($row.children('w\\:trPr').length === 0) {
+      $row.prepend('<w:trPr></w:trPr>');
+    }
+    $row.children('w\\:trPr').append('<w:tblHeader/>');
+    marked++;
+  });
+
+  if (marked === 0) return buffer;
+  zip.file('word/document.xml', $.xml());
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Readies tables for GFM conversion. Merged or nested cells have no GFM
+ * equivalent, so those tables are swapped for placeholders and kept as HTML.
+ * The others get a header row: the first row when it is marked as a header
+ * or entirely bold, otherwise an empty one, since GFM requires a header.
+ * @param {CheerioAPI} $ - The loaded mammoth HTML
+ * @returns {Object} { htmlTables: HTML by placeholder index, tableCount }
+ */
+function prepareTables($) {
+  const htmlTables = [];
+  const $tables = $('table').filter((_, table) => $(table).parents('table').length === 0);
+
+  $tables.each((_, table) => {
+    const $table = $(table);
+    const $rows = $table.find('tr').filter((_, row) => $(row).closest('table').get(0) === table);
+    const isMerged = $rows.children('td, th').toArray()
+      .some(cell => Number($(cell).attr('colspan')) > 1 || Number($(cell).attr('rowspan')) > 1);
+
+    if (isMerged || $table.find('table').length > 0) {
+      $table.find('td, th').each((_, cell) => {
+        $(cell).children('p').each((index, paragraph) => {
+          $(paragraph).replaceWith(`${index > 0 ? '<br>' : ''}${$(paragraph).html()}`);
+        });
+      });
+      const html = ['<table>', ...$rows.toArray().map(row => $.html(row)), '</table>'].join('\n');
+      $table.replaceWith(`<p>${TABLE_TOKEN}${htmlTables.length}X</p>`);
+      htmlTables.push(html);
+      return;
+    }
+
+    const $header = $rows.first().children('td, th');
+    const squash = text => text.replace(/\s+/g, '');
+    const isBold = cell => squash($(cell).find('strong').text()) === squash($(cell).text());
+    const hasHeader = $header.toArray().every(cell => cell.name === 'th') ||
+      ($rows.length > 1 && squash($header.text()) !== '' && $header.toArray().every(isBold));
+
+    if (hasHeader) {
+      $header.each((_, cell) => { cell.name = 'th'; });
+      $header.find('strong').each((_, strong) => { $(strong).replaceWith($(strong).contents()); });
+    } else {
+      const columns = Math.max(...$rows.toArray().map(row => $(row).children('td, th').length));
+      $table.prepend(`<tr>${'<th></th>'.repeat(columns)}</tr>`);
+    }
+  });
+
+  return { htmlTables, tableCount: $tables.length };
+}
+
+/**
+ * Reads comment authors and dates from word/comments.xml; mammoth keeps
+ * only the author's initials
+ * @param {Buffer} buffer - The DOCX file buffer
+ * @returns {Promise<Map>} Comment id => { author, date }
+ */
+async function readCommentDetails(buffer) {
+  const details = new Map();
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file('word/comments.xml')?.async('string');
+  if (!xml) return details;
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  $('w\\:comment').each((_, element) => {
+    const $comment = $(element);
+    details.set($comment.attr('w:id'), {
+      author: $comment.attr('w:author') || '',
+      date: $comment.attr('w:date') || ''
+    });
+  });
+  return details;
+}
+
+/**
+ * Renders a reviewer comment as a callout
+ * @param {Object} comment - { author, date, text }
+ * @returns {string} Markdown callout
+ */
+function renderComment({ author, date, text }) {
+  // 2024-03-01T10:15:00Z => 2024-03-01 10:15
+  const when = date ? date.replace('T', ' ').replace(/:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/, '') : '';
+  const title = ['Comment', author && `by ${author}`, when && `· ${when}`].filter(Boolean).join(' ');
+  return [`> [!comment] ${title}`, ...text.split('\n').map(line => line ? `> ${line}` : '>')].join('\n');
+}
+
+/**
+ * Converts mammoth's HTML to Markdown. Footnotes and endnotes, which mammoth
+ * writes as numbered lists with back-links, become Markdown footnotes.
+ * Comments become callouts after the top-level block they are anchored in,
+ * or are dropped when not requested. Tables become GFM tables, or stay HTML
+ * when cells are merged or nested.
+ * @param {string} html - HTML from mammoth
+ * @param {Object} options
+ * @param {boolean} options.comments - Whether to keep reviewer comments
+ * @param {Map} options.commentDetails - Comment authors and dates by id
+ * @returns {Object} { markdown, footnoteCount, commentCount, tableCount }
+ */
+function convertHtml(html, { comments, commentDetails }) {
+  const $ = cheerio.load(html, null, false);
+  const turndownService = createTurndownService();
+
+  // Note references carry mammoth's running number, e.g. [3]
+  const labels = new Map();
+  $('a[id^="footnote-ref-"], a[id^="endnote-ref-"]').each((_, element) => {
+    const $link = $(element);
+    const label = $link.text().replace(/[[\]]/g, '');
+    labels.set($link.attr('href').slice(1), label);
+    const $sup = $link.parent('sup');
+    ($sup.length && $sup.contents().length === 1 ? $sup : $link).replaceWith(`${NOTE_TOKEN}${label}X`);
+  });
+
+  const definitions = [];
+  const $notes = $('li[id^="footnote-"], li[id^="endnote-"]');
+  $notes.each((_, element) => {
+    const $note = $(element);
+    $note.find('a[href^="#footnote-ref-"], a[href^="#endnote-ref-"]').remove();
+    const label = labels.get($note.attr('id'));
+    const text = htmlToMarkdown($note.html(), turndownService);
+    if (label && text) {
+      definitions.push(`[^${label}]: ${text.replace(/\n/g, '\n    ')}`);
+    }
+  });
+  $notes.parent('ol').remove();
+
+  // Comments are listed in a <dl> after the body
+  const commentTexts = new Map();
+  $('dt[id^="comment-"]').each((_, element) => {
+    const $term = $(element);
+    const $body = $term.next('dd');
+    $body.find('a[href^="#comment-ref-"]').remove();
+    commentTexts.set($term.attr('id').slice('comment-'.length), htmlToMarkdown($body.html(), turndownService));
+  });
+  $('dt[id^="comment-"]').parent('dl').remove();
+
+  const anchored = new Map();
+  $('a[id^="comment-ref-"]').each((_, element) => {
+    const $link = $(element);
+    const $reference = $link.parent('sup').length ? $link.parent('sup') : $link;
+    if (comments) {
+      const block = $reference.parents().last().get(0) || $reference.get(0);
+      if (!anchored.has(block)) anchored.set(block, []);
+      anchored.get(block).push($link.attr('id').slice('comment-ref-'.length));
+    }
+    $reference.remove();
+  });
+  for (const [block, ids] of anchored) {
+    $(block).after(ids.map(id => `<p>${COMMENT_TOKEN}${id}X</p>`).join(''));
+  }
+
+  const { htmlTables, tableCount } = prepareTables($);
+
+  const markdown = htmlToMarkdown($.html(), turndownService)
+    .replace(new RegExp(`^${COMMENT_TOKEN}(\\d+)X$`, 'gm'), (match, id) => renderComment({
+      ...(commentDetails.get(id) || {}),
+      text: commentTexts.get(id) || ''
+    }))
+    .replace(new RegExp(`^${TABLE_TOKEN}(\\d+)X$`, 'gm'), (match, index) => htmlTables[index])
+    .replace(new RegExp(`${NOTE_TOKEN}(\\d+)X`, 'g'), '[^$1]');
+
+  return {
+    markdown: definitions.length > 0 ? `${markdown}\n\n${definitions.join('\n')}` : markdown,
+    footnoteCount: definitions.length,
+    commentCount: [...anchored.values()].flat().length,
+    tableCount
+  };
+}
 
 /**
  * Converts a DOCX buffer to Markdown format while properly handling images
  * @param {Buffer} buffer - The DOCX file buffer
  * @param {string} originalName - Original filename for context
+ * @param {string} [apiKey] - API key if needed
+ * @param {Object} [conversionOptions] - Conversion options
+ * @param {boolean} [conversionOptions.comments] - Keep reviewer comments as callouts after the commented paragraph
+ * @param {string} [conversionOptions.trackChanges] - 'accept' or 'reject' all revisions, or 'show' them
+ *   as ==insertions== and ~~deletions~~ with their author
+ * @param {string|Array<string>} [conversionOptions.styleMap] - Mammoth style-map rules, as an array or one rule per line
+ * @param {string} [conversionOptions.styleMapPreset] - Name of a saved style-map preset, applied after styleMap
+ * @param {boolean} [conversionOptions.headingHeuristic=true] - Promote bold, large single-line paragraphs
+ *   to headings when the document uses no heading styles
  * @returns {Promise<{content: string, images: Array}>} Markdown content and images
  */
-export async function convertDocxToMarkdown(buffer, originalName) {
+export async function convertDocxToMarkdown(buffer, originalName, apiKey, conversionOptions = {}) {
   const startTime = Date.now();
   
   try {
@@ -71,11 +578,36 @@ export async function convertDocxToMarkdown(buffer, originalName) {
       previewContent: workingBuffer.slice(4, 20).toString('hex')
     });
 
+    // Resolve revisions up front; left alone, mammoth keeps insertions and drops deletions
+    const trackChanges = conversionOptions.trackChanges;
+    let documentBuffer = workingBuffer;
+    let trackedChanges = [];
+    if (trackChanges) {
+      if (!TRACK_CHANGES_MODES.includes(trackChanges)) {
+        throw new Error(`Invalid trackChanges mode: ${trackChanges}. Expected one of ${TRACK_CHANGES_MODES.join(', ')}`);
+      }
+      ({ buffer: documentBuffer, changes: trackedChanges } = await applyTrackChanges(workingBuffer, trackChanges));
+      console.log('📝 Applied tracked changes:', { mode: trackChanges, revisions: trackedChanges.length });
+    }
+
+    const styleMap = await resolveStyleMap(conversionOptions);
+    let promotedHeadings = 0;
+    if (conversionOptions.headingHeuristic !== false) {
+      const promotion = await promoteHeadings(documentBuffer, styleMap);
+      documentBuffer = promotion.buffer;
+      styleMap.push(...promotion.styleMap);
+      promotedHeadings = promotion.promoted;
+      if (promotedHeadings > 0) {
+        console.log('🔠 Promoted paragraphs to headings:', { count: promotedHeadings, rules: promotion.styleMap });
+      }
+    }
+    documentBuffer = await markHeaderRows(documentBuffer);
+
     // Store extracted images
     const images = [];
     
     // Get base name for folder structure
-    const baseName = path.basename(originalName, '.docx');
+    const baseName = path.basename(originalName, path.extname(originalName));
     
     // Configure conversion options with strict settings
     const options = {
@@ -119,8 +651,9 @@ export async function convertDocxToMarkdown(buffer, originalName) {
         }
       }),
       styleMap: [
-        "p[style-name='Section Title'] => h1",
-        "p[style-name='Subsection Title'] => h2"
+        ...styleMap,
+        // Mammoth drops comments unless their references are mapped
+        'comment-reference => sup'
       ]
     };
 
@@ -149,7 +682,7 @@ export async function convertDocxToMarkdown(buffer, originalName) {
           global.gc && global.gc(); // Run garbage collection if available
         }
 
-        mammoth.convertToMarkdown(workingBuffer, options)
+        mammoth.convertToHtml(documentBuffer, options)
           .then(result => {
             // Check memory usage after conversion
             const afterMemory = process.memoryUsage();
@@ -293,6 +826,18 @@ export async function convertDocxToMarkdown(buffer, originalName) {
       });
     }
 
+    const commentDetails = conversionOptions.comments
+      ? await readCommentDetails(workingBuffer)
+      : new Map();
+    const converted = convertHtml(result.value, {
+      comments: !!conversionOptions.comments,
+      commentDetails
+    });
+    const { footnoteCount, commentCount, tableCount } = converted;
+    const body = trackedChanges.length > 0
+      ? markTrackedChanges(converted.markdown, trackedChanges)
+      : converted.markdown;
+
     // Create enhanced frontmatter and content
     const markdown = [
       '---',
@@ -303,11 +848,18 @@ export async function convertDocxToMarkdown(buffer, originalName) {
       `conversionTime: ${Date.now() - startTime}ms`,
       `imageCount: ${images.length}`,
       `warningCount: ${result.messages.length}`,
+      ...(footnoteCount > 0 ? [`footnoteCount: ${footnoteCount}`] : []),
+      ...(commentCount > 0 ? [`commentCount: ${commentCount}`] : []),
+      ...(tableCount > 0 ? [`tableCount: ${tableCount}`] : []),
+      ...(trackChanges ? [`trackChanges: ${trackChanges}`] : []),
+      ...(trackedChanges.length > 0 ? [`revisionCount: ${trackedChanges.length}`] : []),
+      ...(conversionOptions.styleMapPreset ? [`styleMapPreset: ${conversionOptions.styleMapPreset}`] : []),
+      ...(promotedHeadings > 0 ? [`promotedHeadings: ${promotedHeadings}`] : []),
       '---',
       '',
       '<!-- DOCX Conversion Result -->',
       '',
-      result.value
+      body
     ].join('\n');
 
     // Explicitly set success flag
@@ -0,0 +1,495 @@
+// services/converter/text/emailConverter.js
+
+import { simpleParser } from 'mailparser';
+import * as cheerio from 'cheerio';
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import { urlConverter } from '../web/urlConverter.js';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+
+// Types the factory can convert but that need more than a file buffer
+const NON_ATTACHMENT_CONVERTERS = ['url', 'parenturl', 'audio', 'video'];
+
+/**
+ * Formats a parsed address header as a list of "Name <address>" strings
+ * @param {Object|Array|undefined} header - mailparser AddressObject(s)
+ * @returns {Array<string>} Formatted addresses
+ */
+function formatAddresses(header) {
+  if (!header) return [];
+  return (Array.isArray(header) ? header : [header])
+    .flatMap(group => group.value || [])
+    .flatMap(address => address.group ? address.group : [address])
+    .map(address => address.name ? `${address.name} <${address.address}>` : address.address)
+    .filter(Boolean);
+}
+
+/**
+ * Normalises the References header, which mailparser returns as a string or array
+ * @param {string|Array<string>|undefined} references - Parsed header value
+ * @returns {Array<string>} Message ids
+ */
+function toIdList(references) {
+  if (!references) return [];
+  return (Array.isArray(references) ? references : references.split(/\s+/)).filter(Boolean);
+}
+
+/**
+ * Removes reply and forward prefixes so thread members share a title
+ * @param {string} subject - Message subject
+ * @returns {string} Subject without Re:/Fwd: prefixes
+ */
+function threadTitle(subject) {
+  return (subject || '').replace(/^((re|fwd?|aw|wg|sv)(\[\d+\])?:\s*)+/i, '').trim() || 'No subject';
+}
+
+/**
+ * Splits an mbox mailbox into raw messages, undoing ">From " quoting
+ * @param {Buffer} buffer - The mailbox contents
+ * @returns {Array<Buffer>} Raw RFC 822 messages
+ */
+function splitMbox(buffer) {
+  // latin1 maps every byte to one character, so the split is encoding-safe
+  const lines = buffer.toString('latin1').split('\n');
+  const messages = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('From ') && (index === 0 || lines[index - 1].replace(/\r$/, '') === '')) {
+      current = [];
+      messages.push(current);
+      return;
+    }
+    if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+  });
+
+  return messages
+    .map(messageLines => messageLines.join('\n').replace(/\r?\n$/, ''))
+    .filter(message => message.trim())
+    .map(message => Buffer.from(message, 'latin1'));
+}
+
+/**
+ * Returns a name that is not in use yet, adding " (2)", " (3)", ... when needed
+ * @param {string} name - Preferred name
+ * @param {Set<string>} used - Names already taken (lower case)
+ * @returns {string} Unique name
+ */
+function uniqueName(name, used) {
+  const extension = path.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  let candidate = name;
+  for (let counter = 2; used.has(candidate.toLowerCase()); counter++) {
+    candidate = `${base} (${counter})${extension}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Moves the notes and images of an attachment that converts to several notes
+ * (an EPUB, a spreadsheet in row-note mode) into a folder of their own, so
+ * two such attachments cannot overwrite each other. Wiki-links between those
+ * notes, including their links to their own index, get the folder prefix.
+ * @param {Object} converted - Converter result with content, images and files
+ * @param {string} folder - Folder named after the attachment
+ * @returns {Object} { files, images } placed under the folder
+ */
+function scopeAttachmentNotes(converted, folder) {
+  const notes = [{ name: 'index.md', content: converted.content, type: 'text' }, ...converted.files];
+  const noteNames = new Set(notes.map(note => note.name.replace(/\.md$/, '')));
+  const scopeLinks = content => content.replace(/\[\[([^\]|#^]+)/g, (match, target) =>
+    noteNames.has(target) ? `[[${folder}/${target}` : match);
+
+  return {
+    files: notes.map(note => ({ ...note, name: `${folder}/${note.name}`, content: scopeLinks(note.content) })),
+    // Image links are relative to the notes, which now sit one folder down
+    images: (converted.images || []).map(image => image.path ? { ...image, path: `${folder}/${image.path}` } : image)
+  };
+}
+
+/**
+ * Converts an HTML body with the URL converter's Turndown setup, pointing
+ * inline cid: images at their saved attachments
+ * @param {string} html - The HTML body
+ * @param {Map<string, string>} inlineImages - Attachment paths keyed by content id
+ * @returns {string} Markdown body
+ */
+function htmlBodyToMarkdown(html, inlineImages) {
+  const $ = cheerio.load(html);
+  $('script, style, head, title, meta').remove();
+
+  $('img[src]').each((_, element) => {
+    const src = $(element).attr('src');
+    if (src.startsWith('cid:')) {
+      const attachmentPath = inlineImages.get(src.slice(4).replace(/^<|>$/g, ''));
+      if (attachmentPath) {
+        $(element).attr('src', encodeURI(attachmentPath));
+      } else {
+        $(element).remove();
+      }
+    }
+  });
+
+  const markdown = urlConverter.turndownService.turndown($('body').html() || $.root().html() || '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return urlConverter.sanitizeImage(markdown);
+}
+
+/**
+ * Converts one attachment with the factory when its type is supported
+ * @param {Object} attachment - Normalized message attachment
+ * @param {string} fileName - Saved attachment name
+ * @param {Object} options - Conversion options (apiKey, ...)
+ * @returns {Promise<Object|null>} Conversion result or null
+ */
+async function convertAttachment(attachment, fileName, options) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+
+  // Imported lazily: the factory itself imports this module
+  const { textConverterFactory } = await import('../textConverterFactory.js');
+  if (!textConverterFactory.converters[extension] || NON_ATTACHMENT_CONVERTERS.includes(extension)) {
+    return null;
+  }
+
+  try {
+    console.log('📎 Converting email attachment:', { fileName, type: extension });
+    return await textConverterFactory.convertToMarkdown(extension, attachment.content, {
+      ...options,
+      name: fileName
+    });
+  } catch (error) {
+    console.warn('⚠️ Attachment conversion failed, keeping the original only:', {
+      fileName,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Parses an RFC 822 message into the normalized message shape shared by all
+ * email formats
+ * @param {Buffer} raw - The raw RFC 822 message
+ * @returns {Promise<Object>} Normalized message
+ */
+export async function parseRfc822Message(raw) {
+  // Keep cid: links so inline images point at the saved attachments rather than data URIs
+  const parsed = await simpleParser(raw, { keepCidLinks: true });
+
+  return {
+    subject: parsed.subject,
+    date: parsed.date && !isNaN(parsed.date) ? parsed.date : null,
+    from: formatAddresses(parsed.from),
+    to: formatAddresses(parsed.to),
+    cc: formatAddresses(parsed.cc),
+    messageId: parsed.messageId,
+    inReplyTo: parsed.inReplyTo,
+    references: toIdList(parsed.references),
+    html: parsed.html || null,
+    text: parsed.text || '',
+    attachments: (parsed.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      content: attachment.content,
+      contentId: attachment.contentId,
+      related: attachment.related
+    }))
+  };
+}
+
+/**
+ * Renders a normalized message as a note, saving and converting its attachments
+ * @param {Object} message - Normalized message, see parseRfc822Message
+ * @param {Object} context - Shared state for the archive being converted
+ * @returns {Promise<Object>} Message details and note renderer
+ */
+export async function convertMessage(message, context) {
+  const subject = message.subject || 'No subject';
+  const { date, from, to, cc } = message;
+  const datePrefix = date ? date.toISOString().slice(0, 10) : 'undated';
+
+  const noteName = uniqueName(
+    `${sanitizeFilename(`${datePrefix} - ${subject}`).slice(0, 120) || datePrefix}.md`,
+    context.usedNames
+  );
+
+  // Save every attachment; inline images are referenced from the body instead of listed
+  const inlineImages = new Map();
+  const attachmentLinks = [];
+  for (const [index, attachment] of message.attachments.entries()) {
+    const fallbackName = `attachment-${index + 1}${attachment.contentType === 'message/rfc822' ? '.eml' : ''}`;
+    const fileName = uniqueName(
+      sanitizeFilename(attachment.filename || fallbackName) || fallbackName,
+      context.usedAttachmentNames
+    );
+    const attachmentPath = `attachments/${context.baseName}/${fileName}`;
+
+    context.images.push({
+      name: fileName,
+      data: attachment.content.toString('base64'),
+      type: attachment.contentType,
+      path: attachmentPath
+    });
+
+    if (attachment.contentId && attachment.related) {
+      inlineImages.set(attachment.contentId.replace(/^<|>$/g, ''), attachmentPath);
+      continue;
+    }
+
+    const converted = await convertAttachment(attachment, fileName, context.options);
+    if (converted?.content && converted.files?.length) {
+      const scoped = scopeAttachmentNotes(converted, fileName);
+      context.files.push(...scoped.files);
+      context.images.push(...scoped.images);
+      attachmentLinks.push(`- [${fileName}](${encodeURI(attachmentPath)}) → [[${fileName}/index|${fileName}]]`);
+    } else if (converted?.content) {
+      const convertedName = uniqueName(`${fileName}.md`, context.usedNames);
+      context.files.push({ name: convertedName, content: converted.content, type: 'text' });
+      context.images.push(...(converted.images || []));
+      attachmentLinks.push(`- [${fileName}](${encodeURI(attachmentPath)}) → [[${convertedName.replace(/\.md$/, '')}]]`);
+    } else {
+      attachmentLinks.push(`- [${fileName}](${encodeURI(attachmentPath)})`);
+    }
+  }
+
+  const body = message.html
+    ? htmlBodyToMarkdown(message.html, inlineImages)
+    : message.text.trim();
+
+  return {
+    noteName: noteName.replace(/\.md$/, ''),
+    subject,
+    date,
+    from,
+    messageId: message.messageId,
+    inReplyTo: message.inReplyTo,
+    references: message.references,
+    render: (extraMetadata = {}, footer = []) => [
+      formatMetadata({
+        from: from.join(', '),
+        to,
+        cc,
+        date: date ? date.toISOString() : null,
+        subject,
+        'message-id': message.messageId,
+        'in-reply-to': message.inReplyTo,
+        ...extraMetadata,
+        source: context.originalName
+      }),
+      `# ${subject}`,
+      '',
+      `**From:** ${from.join(', ')}  `,
+      to.length ? `**To:** ${to.join(', ')}  ` : null,
+      cc.length ? `**Cc:** ${cc.join(', ')}  ` : null,
+      date ? `**Date:** ${date.toUTCString()}` : null,
+      '',
+      body,
+      attachmentLinks.length ? `\n## Attachments\n\n${attachmentLinks.join('\n')}` : null,
+      footer.length ? `\n---\n${footer.join('\n')}` : null,
+      ''
+    ].filter(line => line !== null).join('\n')
+  };
+}
+
+/**
+ * Creates the shared state used while converting an archive
+ * @param {string} originalName - Original filename
+ * @param {Object} options - Conversion options
+ * @returns {Object} Conversion context
+ */
+export function createContext(originalName, options) {
+  return {
+    originalName,
+    baseName: path.basename(originalName, path.extname(originalName)),
+    options,
+    images: [],
+    files: [],
+    usedNames: new Set(['index.md']),
+    usedAttachmentNames: new Set()
+  };
+}
+
+/**
+ * Converts a single RFC 822 (.eml) message to a Markdown note.
+ * @param {Buffer|string} input - The raw message.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key, passed on to attachment conversions.
+ * @param {Object} [options] - Conversion options.
+ * @returns {Promise<{ content: string, images: Array, files: Array }>} - Message note, attachments and converted attachment notes.
+ */
+export async function convertEmlToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const context = createContext(originalName, { ...options, apiKey });
+    const parsed = await parseRfc822Message(Buffer.isBuffer(input) ? input : Buffer.from(input));
+    const message = await convertMessage(parsed, context);
+
+    console.log('✅ Email converted:', {
+      originalName,
+      subject: message.subject,
+      attachmentCount: context.images.length,
+      convertedAttachments: context.files.length
+    });
+
+    return {
+      success: true,
+      content: message.render(),
+      images: context.images,
+      files: context.files
+    };
+  } catch (error) {
+    console.error('Email conversion error:', error);
+    throw new Error(`EML conversion failed: ${error.message}`);
+  }
+}
+
+/**
+ * Converts an mbox mailbox into one note per message plus an index note
+ * that groups messages into threads using In-Reply-To/References.
+ * @param {Buffer|string} input - The mailbox contents.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key, passed on to attachment conversions.
+ * @param {Object} [options] - Conversion options.
+ * @returns {Promise<{ content: string, images: Array, files: Array }>} - Index note, attachments and message notes.
+ */
+export async function convertMboxToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const context = createContext(originalName, { ...options, apiKey });
+    const rawMessages = splitMbox(Buffer.isBuffer(input) ? input : Buffer.from(input, 'latin1'));
+
+    if (rawMessages.length === 0) {
+      throw new Error('No messages found in mailbox');
+    }
+
+    console.log('📬 Converting mailbox:', { originalName, messages: rawMessages.length });
+
+    const messages = [];
+    for (const raw of rawMessages) {
+      messages.push(await convertMessage(await parseRfc822Message(raw), context));
+    }
+
+    // Union messages that reference each other into threads
+    const parents = new Map();
+    const find = (id) => {
+      while (parents.has(id) && parents.get(id) !== id) {
+        id = parents.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parents.set(rootB, rootA);
+    };
+
+    messages.forEach((message, index) => {
+      message.key = message.messageId || `message-${index}`;
+      parents.set(message.key, find(message.key));
+      [...message.references, message.inReplyTo].filter(Boolean).forEach(id => union(id, message.key));
+    });
+
+    const messagesById = new Map(messages.map(message => [message.key, message]));
+    const byDate = (a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0);
+
+    const threads = new Map();
+    messages.forEach(message => {
+      const root = find(message.key);
+      if (!threads.has(root)) threads.set(root, []);
+      threads.get(root).push(message);
+
+      // The direct parent is the In-Reply-To message, else the last known reference
+      const parentId = [message.inReplyTo, ...[...message.references].reverse()]
+        .find(id => id && id !== message.key && messagesById.has(id));
+      message.parent = parentId ? messagesById.get(parentId) : null;
+    });
+
+    // Messages replying to each other in a loop leave no root to list the
+    // thread from; the earliest message of such a loop becomes its root
+    [...messages].sort(byDate).forEach(message => {
+      const seen = new Set();
+      for (let ancestor = message.parent; ancestor && !seen.has(ancestor); ancestor = ancestor.parent) {
+        if (ancestor === message) {
+          message.parent = null;
+          break;
+        }
+        seen.add(ancestor);
+      }
+    });
+
+    const sortedThreads = [...threads.values()]
+      .map(threadMessages => threadMessages.sort(byDate))
+      .sort((a, b) => byDate(a[0], b[0]));
+
+    for (const threadMessages of sortedThreads) {
+      const title = threadTitle(threadMessages[0].subject);
+      threadMessages.forEach(message => {
+        message.thread = title;
+        message.replies = threadMessages.filter(other => other.parent === message);
+      });
+    }
+
+    const files = messages.map(message => {
+      const footer = [
+        message.parent ? `In reply to: [[${message.parent.noteName}]]` : null,
+        message.replies.length ? `Replies: ${message.replies.map(reply => `[[${reply.noteName}]]`).join(', ')}` : null,
+        `Mailbox: [[index|${context.baseName}]]`
+      ].filter(Boolean);
+
+      return {
+        name: `${message.noteName}.md`,
+        content: message.render({ thread: message.thread }, footer),
+        type: 'text'
+      };
+    });
+
+    // Render each thread as a reply tree
+    const renderTree = (message, depth) => [
+      `${'  '.repeat(depth)}- ${message.date ? message.date.toISOString().slice(0, 10) : 'undated'} — ${message.from[0] || 'Unknown sender'} — [[${message.noteName}|${message.subject}]]`,
+      ...message.replies.flatMap(reply => renderTree(reply, depth + 1))
+    ];
+
+    const index = [
+      formatMetadata({
+        title: context.baseName,
+        type: 'mailbox',
+        format: 'mbox',
+        messages: messages.length,
+        threads: sortedThreads.length,
+        attachmentFolder: `attachments/${context.baseName}`,
+        source: originalName,
+        created: new Date().toISOString()
+      }),
+      `# ${context.baseName}`,
+      '',
+      ...sortedThreads.flatMap(threadMessages => [
+        `## ${threadMessages[0].thread} (${threadMessages.length})`,
+        '',
+        ...threadMessages
+          .filter(message => !message.parent)
+          .flatMap(message => renderTree(message, 0)),
+        ''
+      ])
+    ].join('\n');
+
+    console.log('✅ Mailbox converted:', {
+      originalName,
+      messages: messages.length,
+      threads: sortedThreads.length,
+      attachmentCount: context.images.length
+    });
+
+    return {
+      success: true,
+      content: index,
+      images: context.images,
+      files: [...files, ...context.files]
+    };
+  } catch (error) {
+    console.error('Mailbox conversion error:', error);
+    throw new Error(`MBOX conversion failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,326 @@
+// services/converter/text/epubConverter.js
+
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import { createTurndownService, htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+
+const CHAPTER_MEDIA_TYPES = ['application/xhtml+xml', 'text/html'];
+
+/**
+ * Resolves a href found inside an EPUB file against that file's location
+ * @param {string} fromPath - Path of the file containing the reference
+ * @param {string} href - The (possibly relative) reference
+ * @returns {string} Path of the target inside the archive
+ */
+function resolveEpubPath(fromPath, href) {
+  let cleanHref = href.split('#')[0];
+  try {
+    cleanHref = decodeURIComponent(cleanHref);
+  } catch {
+    // A stray % is not an escape; use the reference as written
+  }
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), cleanHref));
+}
+
+/**
+ * Builds a wiki-link to a chapter note. Brackets, pipes and hashes would end
+ * the link or turn it into a heading reference, so they are dropped from the label.
+ * @param {string} noteName - Target note name
+ * @param {string} label - Displayed text
+ * @returns {string} Wiki-link
+ */
+function wikiLink(noteName, label) {
+  const alias = label.replace(/[[\]|#^]/g, '').replace(/\s+/g, ' ').trim();
+  return alias && alias !== noteName ? `[[${noteName}|${alias}]]` : `[[${noteName}]]`;
+}
+
+/**
+ * Reads the OPF package: metadata, manifest and spine
+ * @param {JSZip} zip - The loaded EPUB archive
+ * @returns {Promise<Object>} Parsed package information
+ */
+async function readPackage(zip) {
+  const containerXml = await zip.file('META-INF/container.xml')?.async('string');
+  if (!containerXml) {
+    throw new Error('Invalid EPUB: META-INF/container.xml not found');
+  }
+
+  const opfPath = cheerio.load(containerXml, { xmlMode: true })('rootfile').attr('full-path');
+  const opfXml = opfPath && await zip.file(opfPath)?.async('string');
+  if (!opfXml) {
+    throw new Error('Invalid EPUB: package document not found');
+  }
+
+  const $ = cheerio.load(opfXml, { xmlMode: true });
+
+  const manifest = new Map();
+  $('manifest > item').each((_, element) => {
+    const $item = $(element);
+    if (!$item.attr('href')) return;
+    manifest.set($item.attr('id'), {
+      id: $item.attr('id'),
+      path: resolveEpubPath(opfPath, $item.attr('href')),
+      mediaType: $item.attr('media-type'),
+      properties: ($item.attr('properties') || '').split(/\s+/)
+    });
+  });
+
+  const spine = $('spine > itemref')
+    .map((_, element) => manifest.get($(element).attr('idref')))
+    .get()
+    .filter(item => item && CHAPTER_MEDIA_TYPES.includes(item.mediaType));
+
+  // EPUB 3 flags the cover in the manifest, EPUB 2 uses a <meta name="cover">
+  const coverItem = [...manifest.values()].find(item => item.properties.includes('cover-image')) ||
+    manifest.get($('meta[name="cover"]').attr('content'));
+
+  const metadata = {
+    title: $('dc\\:title').first().text().trim(),
+    author: $('dc\\:creator').map((_, element) => $(element).text().trim()).get(),
+    language: $('dc\\:language').first().text().trim(),
+    publisher: $('dc\\:publisher').first().text().trim(),
+    published: $('dc\\:date').first().text().trim(),
+    identifier: $('dc\\:identifier').first().text().trim()
+  };
+
+  const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+  const ncxItem = manifest.get($('spine').attr('toc'));
+
+  return { metadata, manifest, spine, coverItem, navItem, ncxItem };
+}
+
+/**
+ * Builds a map of chapter path to title from the EPUB 3 nav or EPUB 2 NCX
+ * @param {JSZip} zip - The loaded EPUB archive
+ * @param {Object} pkg - Parsed package information
+ * @returns {Promise<Map<string, string>>} Chapter titles keyed by path
+ */
+async function readTableOfContents(zip, { navItem, ncxItem }) {
+  const titles = new Map();
+
+  if (navItem) {
+    const navXml = await zip.file(navItem.path)?.async('string');
+    if (navXml) {
+      const $ = cheerio.load(navXml, { xmlMode: true });
+      $('nav[epub\\:type~="toc"] a[href], nav a[href]').each((_, element) => {
+        if (!$(element).attr('href')) return;
+        const target = resolveEpubPath(navItem.path, $(element).attr('href'));
+        if (!titles.has(target)) {
+          titles.set(target, $(element).text().replace(/\s+/g, ' ').trim());
+        }
+      });
+    }
+  }
+
+  if (titles.size === 0 && ncxItem) {
+    const ncxXml = await zip.file(ncxItem.path)?.async('string');
+    if (ncxXml) {
+      const $ = cheerio.load(ncxXml, { xmlMode: true });
+      $('navPoint').each((_, element) => {
+        const $point = $(element);
+        const src = $point.children('content').attr('src');
+        if (!src) return;
+        const target = resolveEpubPath(ncxItem.path, src);
+        if (!titles.has(target)) {
+          titles.set(target, $point.children('navLabel').text().replace(/\s+/g, ' ').trim());
+        }
+      });
+    }
+  }
+
+  return titles;
+}
+
+/**
+ * Converts an EPUB buffer into one note per chapter plus an index note.
+ * @param {Buffer} input - The EPUB file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options from the request.
+ * @returns {Promise<{ content: string, images: Array, files: Array }>} - Index note, images and chapter notes.
+ */
+export async function convertEpubToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const zip = await JSZip.loadAsync(input);
+    const bookName = path.basename(originalName, path.extname(originalName));
+    const pkg = await readPackage(zip);
+    const tocTitles = await readTableOfContents(zip, pkg);
+    const bookTitle = pkg.metadata.title || bookName;
+
+    console.log('📚 Converting EPUB:', {
+      originalName,
+      title: bookTitle,
+      spineItems: pkg.spine.length,
+      hasCover: !!pkg.coverItem
+    });
+
+    // Images are shared between chapters, so each archive path is stored once
+    const images = [];
+    const imagesByPath = new Map();
+    const addImage = async (imagePath) => {
+      if (imagesByPath.has(imagePath)) {
+        return imagesByPath.get(imagePath);
+      }
+
+      const file = zip.file(imagePath);
+      if (!file) {
+        console.warn('⚠️ Missing EPUB image:', imagePath);
+        return null;
+      }
+
+      const manifestItem = [...pkg.manifest.values()].find(item => item.path === imagePath);
+      const extension = path.extname(imagePath).slice(1).toLowerCase();
+      const imageName = sanitizeFilename(`${bookName}-${path.basename(imagePath)}`);
+      const attachmentPath = `attachments/${bookName}/${imageName}`;
+
+      images.push({
+        name: imageName,
+        data: await file.async('base64'),
+        type: manifestItem?.mediaType || `image/${extension}`,
+        path: attachmentPath
+      });
+      imagesByPath.set(imagePath, attachmentPath);
+      return attachmentPath;
+    };
+
+    const coverPath = pkg.coverItem ? await addImage(pkg.coverItem.path) : null;
+
+    const chapters = [];
+    for (const item of pkg.spine) {
+      const html = await zip.file(item.path)?.async('string');
+      if (!html) continue;
+
+      // Serialise empty elements as open/close pairs so Turndown's HTML parser reads them correctly
+      const $ = cheerio.load(html, { xml: { xmlMode: true, selfClosingTags: false } });
+
+      // The cover page only repeats the cover image already shown in the index note
+      const imageSources = $('img[src], image').toArray()
+        .map(element => $(element).attr('src') || $(element).attr('xlink:href') || $(element).attr('href'))
+        .filter(Boolean);
+      const isCoverPage = !$('body').text().trim() && imageSources.every(src =>
+        pkg.coverItem && resolveEpubPath(item.path, src) === pkg.coverItem.path
+      );
+      if (isCoverPage) continue;
+
+      chapters.push({ item, $ });
+    }
+
+    // Name every chapter note up front so cross-chapter links can be rewritten
+    const digits = String(chapters.length).length;
+    chapters.forEach((chapter, index) => {
+      const { item, $ } = chapter;
+      chapter.title = tocTitles.get(item.path) ||
+        $('h1, h2, h3').first().text().replace(/\s+/g, ' ').trim() ||
+        $('title').text().trim() ||
+        `Chapter ${index + 1}`;
+      // Characters Obsidian reserves for links are dropped as well
+      const safeTitle = chapter.title.replace(/[#^[\]|]/g, '').replace(/\s+/g, ' ');
+      chapter.noteName = sanitizeFilename(
+        `${String(index + 1).padStart(digits, '0')} - ${safeTitle}`
+      ).slice(0, 120);
+    });
+
+    const noteNamesByPath = new Map(chapters.map(chapter => [chapter.item.path, chapter.noteName]));
+    const turndownService = createTurndownService();
+
+    for (const chapter of chapters) {
+      const { item, $ } = chapter;
+
+      for (const element of $('img[src], image').toArray()) {
+        const $image = $(element);
+        const src = $image.attr('src') || $image.attr('xlink:href') || $image.attr('href');
+        const attachmentPath = src && !/^(https?:|data:)/i.test(src)
+          ? await addImage(resolveEpubPath(item.path, src))
+          : null;
+
+        if (attachmentPath) {
+          $image.replaceWith($('<img>').attr({ src: encodeURI(attachmentPath), alt: $image.attr('alt') || '' }));
+        }
+      }
+
+      $('a[href]').each((_, element) => {
+        const $link = $(element);
+        const href = $link.attr('href');
+        if (/^[a-z]+:/i.test(href) || href.startsWith('#')) return;
+
+        const targetNote = noteNamesByPath.get(resolveEpubPath(item.path, href));
+        if (targetNote) {
+          $link.replaceWith($('<span>').text(wikiLink(targetNote, $link.text().trim() || targetNote)));
+        }
+      });
+
+      const body = $('body').length ? $('body').html() : $.root().html();
+      chapter.markdown = htmlToMarkdown(body, turndownService)
+        // Turndown escapes the brackets of the wiki-links inserted above
+        .replace(/\\\[\\\[(.+?)\\\]\\\]/g, '[[$1]]');
+    }
+
+    const files = chapters.map((chapter, index) => {
+      const previous = chapters[index - 1];
+      const next = chapters[index + 1];
+      const navigation = [
+        previous ? `← ${wikiLink(previous.noteName, previous.title)}` : null,
+        '[[index|Contents]]',
+        next ? `${wikiLink(next.noteName, next.title)} →` : null
+      ].filter(Boolean).join(' | ');
+
+      return {
+        name: `${chapter.noteName}.md`,
+        content: [
+          formatMetadata({
+            title: chapter.title,
+            book: bookTitle,
+            chapter: index + 1,
+            source: originalName
+          }),
+          chapter.markdown,
+          '',
+          '---',
+          navigation,
+          ''
+        ].join('\n'),
+        type: 'text'
+      };
+    });
+
+    const index = [
+      formatMetadata({
+        ...pkg.metadata,
+        title: bookTitle,
+        type: 'ebook',
+        format: 'epub',
+        chapters: chapters.length,
+        attachmentFolder: `attachments/${bookName}`,
+        source: originalName,
+        created: new Date().toISOString()
+      }),
+      `# ${bookTitle}`,
+      '',
+      coverPath ? `![Cover](${encodeURI(coverPath)})\n` : null,
+      pkg.metadata.author.length ? `**Author:** ${pkg.metadata.author.join(', ')}\n` : null,
+      '## Contents',
+      '',
+      ...chapters.map((chapter, i) => `${i + 1}. ${wikiLink(chapter.noteName, chapter.title)}`),
+      ''
+    ].filter(line => line !== null).join('\n');
+
+    console.log('✅ EPUB converted:', {
+      originalName,
+      chapters: files.length,
+      imageCount: images.length
+    });
+
+    return {
+      success: true,
+      content: index,
+      images,
+      files
+    };
+  } catch (error) {
+    console.error('EPUB conversion error:', error);
+    throw new Error(`EPUB conversion failed: ${error.message}`);
+  }
+}
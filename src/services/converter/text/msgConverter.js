@@ -0,0 +1,163 @@
+// services/converter/text/msgConverter.js
+
+import MsgReaderModule from '@kenjiuno/msgreader';
+import { decompressRTF } from '@kenjiuno/decompressrtf';
+import { parseRfc822Message, convertMessage, createContext } from './emailConverter.js';
+import { extractHtmlFromRtf, rtfToHtml } from './rtfConverter.js';
+
+// The package is CommonJS with a default export
+const MsgReader = MsgReaderModule.default || MsgReaderModule;
+
+/**
+ * Formats an Outlook sender or recipient as "Name <address>"
+ * @param {string} name - Display name
+ * @param {string} address - SMTP address
+ * @returns {string|null} Formatted address
+ */
+function formatAddress(name, address) {
+  if (name && address && name !== address) return `${name} <${address}>`;
+  return address || name || null;
+}
+
+/**
+ * Parses a date property, ignoring missing or invalid values
+ * @param {string|undefined} value - Date string from the message
+ * @returns {Date|null} Parsed date
+ */
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+/**
+ * Picks the richest body the message carries: HTML, then the compressed RTF
+ * (which usually encapsulates the HTML), then plain text
+ * @param {Object} data - MsgReader file data
+ * @returns {Object} { html, text }
+ */
+function readBody(data) {
+  const text = data.body || '';
+
+  if (data.bodyHtml) {
+    return { html: data.bodyHtml, text };
+  }
+  if (data.html?.length) {
+    const encoding = data.internetCodepage === 65001 || !data.internetCodepage
+      ? 'utf-8'
+      : `windows-${data.internetCodepage}`;
+    try {
+      return { html: new TextDecoder(encoding).decode(data.html), text };
+    } catch {
+      return { html: new TextDecoder('utf-8').decode(data.html), text };
+    }
+  }
+  if (data.compressedRtf?.length) {
+    try {
+      // RTF is 7-bit; 8-bit characters are escaped, so latin1 preserves every byte
+      const rtf = Buffer.from(decompressRTF(Array.from(data.compressedRtf))).toString('latin1');
+      const html = extractHtmlFromRtf(rtf) || (text.trim() ? null : rtfToHtml(rtf));
+      if (html) {
+        return { html, text };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read RTF body, using plain text:', error.message);
+    }
+  }
+
+  return { html: null, text };
+}
+
+/**
+ * Reads an Outlook .msg compound file into the normalized message shape
+ * used by the email converter
+ * @param {Buffer} buffer - The .msg file
+ * @returns {Promise<Object>} Normalized message
+ */
+async function readMsg(buffer) {
+  const reader = new MsgReader(new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+  const data = reader.getFileData();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+
+  // Messages that went through a mail server keep their transport headers
+  const headers = data.headers
+    ? await parseRfc822Message(Buffer.from(`${data.headers.trimEnd()}\r\n\r\n`))
+    : null;
+
+  const recipients = (type) => (data.recipients || [])
+    .filter(recipient => (recipient.recipType || 'to') === type)
+    .map(recipient => formatAddress(recipient.name, recipient.smtpAddress || recipient.email))
+    .filter(Boolean);
+
+  const sender = formatAddress(data.senderName, data.senderSmtpAddress || data.senderEmail);
+  const { html, text } = readBody(data);
+
+  const attachments = (data.attachments || []).flatMap(attachment => {
+    const { fileName, content } = reader.getAttachment(attachment);
+    if (!content) return [];
+
+    const contentId = attachment.pidContentId?.replace(/^<|>$/g, '');
+    return [{
+      filename: fileName || attachment.fileNameShort,
+      contentType: attachment.innerMsgContent
+        ? 'application/vnd.ms-outlook'
+        : attachment.attachMimeTag || 'application/octet-stream',
+      content: Buffer.from(content),
+      contentId,
+      // Only attachments the body actually shows are treated as inline
+      related: Boolean(contentId && html?.includes(`cid:${contentId}`))
+    }];
+  });
+
+  const to = recipients('to');
+  const cc = recipients('cc');
+
+  return {
+    subject: data.subject || headers?.subject,
+    date: headers?.date || toDate(data.clientSubmitTime) || toDate(data.messageDeliveryTime) || toDate(data.creationTime),
+    from: headers?.from.length ? headers.from : [sender].filter(Boolean),
+    to: to.length ? to : headers?.to || [],
+    cc: cc.length ? cc : headers?.cc || [],
+    messageId: headers?.messageId || data.messageId,
+    inReplyTo: headers?.inReplyTo,
+    references: headers?.references || [],
+    html,
+    text,
+    attachments
+  };
+}
+
+/**
+ * Converts an Outlook .msg message to a Markdown note with the same layout
+ * as .eml messages.
+ * @param {Buffer} input - The .msg file.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key, passed on to attachment conversions.
+ * @param {Object} [options] - Conversion options.
+ * @returns {Promise<{ content: string, images: Array, files: Array }>} - Message note, attachments and converted attachment notes.
+ */
+export async function convertMsgToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const context = createContext(originalName, { ...options, apiKey });
+    const parsed = await readMsg(Buffer.isBuffer(input) ? input : Buffer.from(input));
+    const message = await convertMessage(parsed, context);
+
+    console.log('✅ Outlook message converted:', {
+      originalName,
+      subject: message.subject,
+      attachmentCount: context.images.length,
+      convertedAttachments: context.files.length
+    });
+
+    return {
+      success: true,
+      content: message.render(),
+      images: context.images,
+      files: context.files
+    };
+  } catch (error) {
+    console.error('Outlook message conversion error:', error);
+    throw new Error(`MSG conversion failed: ${error.message}`);
+  }
+}
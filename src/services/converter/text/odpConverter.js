@@ -0,0 +1,102 @@
+// services/converter/text/odpConverter.js
+
+import path from 'path';
+import { htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+import {
+  loadOpenDocument,
+  OpenDocumentRenderer,
+  OPEN_DOCUMENT_IMAGE_TYPES
+} from '../../../utils/openDocument.js';
+
+/**
+ * Converts an ODP (OpenDocument Presentation) buffer to Markdown with one
+ * section per slide, using the same layout as the PPTX converter.
+ * @param {Buffer} input - The ODP file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options from the request.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertOdpToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const document = await loadOpenDocument(input, 'odp');
+    const { zip, $ } = document;
+    const presentationName = path.basename(originalName, path.extname(originalName));
+    const renderer = new OpenDocumentRenderer(document);
+
+    let markdown = [
+      `# ${presentationName}`,
+      '',
+      '---',
+      'type: presentation',
+      `created: ${new Date().toISOString()}`,
+      `original: ${originalName}`,
+      '---',
+      '',
+      ''
+    ].join('\n');
+
+    const images = [];
+    const pages = $('office\\:presentation > draw\\:page').toArray();
+
+    for (const [index, page] of pages.entries()) {
+      const slideNumber = index + 1;
+      markdown += `## Slide ${slideNumber}\n\n`;
+
+      // Frames hold pictures or text boxes and shapes may carry text directly;
+      // speaker notes are not slide content
+      const frames = $(page).find('draw\\:frame, draw\\:custom-shape')
+        .filter((_, frame) => $(frame).parents('presentation\\:notes, draw\\:text-box').length === 0)
+        .toArray();
+
+      const slideText = [];
+      for (const frame of frames) {
+        const href = $(frame).children('draw\\:image').attr('xlink:href');
+        const extension = href ? path.extname(href).slice(1).toLowerCase() : '';
+
+        if (href && !$(frame).children('draw\\:text-box').length) {
+          const file = zip.file(href);
+          if (file && OPEN_DOCUMENT_IMAGE_TYPES[extension]) {
+            const filename = `${presentationName}_slide${slideNumber}_${path.basename(href)}`;
+            images.push({
+              name: filename,
+              data: await file.async('base64'),
+              type: OPEN_DOCUMENT_IMAGE_TYPES[extension],
+              path: `attachments/${presentationName}/${filename}`
+            });
+            markdown += `![[${filename}]]\n\n`;
+          }
+          continue;
+        }
+
+        const html = frame.name === 'draw:custom-shape'
+          ? await renderer.renderChildren(frame)
+          : await renderer.renderFrame(frame, {});
+        const text = htmlToMarkdown(html);
+        if (text) {
+          slideText.push(text);
+        }
+      }
+
+      if (slideText.length) {
+        markdown += `${slideText.join('\n\n')}\n\n`;
+      }
+
+      markdown += `---\n\n`;
+    }
+
+    console.log('✅ ODP converted:', {
+      originalName,
+      slides: pages.length,
+      imageCount: images.length
+    });
+
+    return {
+      content: markdown.trim(),
+      images
+    };
+  } catch (error) {
+    console.error('ODP conversion error:', error);
+    throw error;
+  }
+}
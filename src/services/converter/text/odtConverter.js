@@ -0,0 +1,95 @@
+// services/converter/text/odtConverter.js
+
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import { htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+import {
+  loadOpenDocument,
+  OpenDocumentRenderer,
+  OPEN_DOCUMENT_IMAGE_TYPES
+} from '../../../utils/openDocument.js';
+
+/**
+ * Converts an ODT (OpenDocument Text) buffer to Markdown, keeping headings,
+ * lists, tables and embedded images.
+ * @param {Buffer} input - The ODT file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options from the request.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertOdtToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    const document = await loadOpenDocument(input, 'odt');
+    const { zip, $, metadata } = document;
+    const baseName = path.basename(originalName, path.extname(originalName));
+
+    const images = [];
+    const imagesByHref = new Map();
+
+    const renderer = new OpenDocumentRenderer(document, {
+      resolveImage: async (href) => {
+        if (imagesByHref.has(href)) {
+          return imagesByHref.get(href);
+        }
+
+        const extension = path.extname(href).slice(1).toLowerCase();
+        const file = zip.file(href);
+        if (!file || !OPEN_DOCUMENT_IMAGE_TYPES[extension]) {
+          console.warn('⚠️ Skipping unsupported ODT image:', href);
+          return null;
+        }
+
+        const imageName = sanitizeFilename(`${baseName}-${path.basename(href)}`);
+        const attachmentPath = `attachments/${baseName}/${imageName}`;
+        images.push({
+          name: imageName,
+          data: await file.async('base64'),
+          type: OPEN_DOCUMENT_IMAGE_TYPES[extension],
+          path: attachmentPath
+        });
+
+        const src = encodeURI(attachmentPath);
+        imagesByHref.set(href, src);
+        return src;
+      }
+    });
+
+    const body = $('office\\:body > office\\:text').get(0);
+    if (!body) {
+      throw new Error('Invalid ODT file: document has no text body');
+    }
+
+    const html = await renderer.renderChildren(body) + renderer.renderNotes();
+    const markdownBody = htmlToMarkdown(html);
+
+    console.log('✅ ODT converted:', {
+      originalName,
+      imageCount: images.length,
+      footnotes: renderer.notes.length
+    });
+
+    const content = [
+      formatMetadata({
+        title: metadata.title || baseName,
+        author: metadata.author,
+        subject: metadata.subject,
+        tags: metadata.keywords,
+        format: 'odt',
+        source: originalName,
+        created: new Date().toISOString()
+      }),
+      markdownBody
+    ].join('\n');
+
+    return {
+      success: true,
+      content,
+      images
+    };
+  } catch (error) {
+    console.error('ODT conversion error:', error);
+    throw new Error(`ODT conversion failed: ${error.message}`);
+  }
+}
@@ -9,6 +9,10 @@ import * as fs from 'fs/promises';
 import { promisify } from 'util';
 import { exec } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
+import { recognizeText } from '../../../utils/ocr.js';
+import { generateTableOfContents } from '../../../utils/markdownGenerator.js';
+import { formatMetadata } from '../../../utils/metadataExtractor.js';
+import { buildLiteratureNote } from './academicPaper.js';
 
 const execAsync = promisify(exec);
 const __filename = fileURLToPath(import.meta.url);
@@ -79,15 +83,16 @@ async function executePopplerCommand(originalCommand) {
     if (process.platform === 'win32') {
       const popplerPath = await getPopplerPath();
       // Add poppler path to command
-      if (command.startsWith('pdfimages')) {
-        command = command.replace('pdfimages', `"${path.join(popplerPath, 'pdfimages.exe')}"`);
-      } else if (command.startsWith('pdftotext')) {
-        command = command.replace('pdftotext', `"${path.join(popplerPath, 'pdftotext.exe')}"`);
+      const tool = ['pdfimages', 'pdftotext', 'pdftoppm', 'pdfinfo']
+        .find(name => command.startsWith(name));
+      if (tool) {
+        command = command.replace(tool, `"${path.join(popplerPath, `${tool}.exe`)}"`);
       }
     }
 
     console.log('Executing command:', command);
-    const { stdout, stderr } = await execAsync(command);
+    // Word boxes and text of long documents exceed exec's 1MB default
+    const { stdout, stderr } = await execAsync(command, { maxBuffer: 100 * 1024 * 1024 });
     
     if (stderr) {
       console.warn('Command stderr:', stderr);
@@ -120,13 +125,13 @@ async function extractImages(pdfPath, originalName) {
     await fs.mkdir(tempDir, { recursive: true });
 
     try {
-      // Use pdfimages for extraction
-      const command = `pdfimages -all "${pdfPath}" "${imageRoot}"`;
+      // Use pdfimages for extraction; -p puts the page number in each file name
+      const command = `pdfimages -all -p "${pdfPath}" "${imageRoot}"`;
       await executePopplerCommand(command);
 
-      // Process extracted images
+      // Process extracted images in page order
       const files = await fs.readdir(tempDir);
-      const imageFiles = files.filter(f => /\.(jpg|jpeg|png|ppm|pbm)$/i.test(f));
+      const imageFiles = files.filter(f => /\.(jpg|jpeg|png|ppm|pbm)$/i.test(f)).sort();
 
       for (const imageFile of imageFiles) {
         const imagePath = path.join(tempDir, imageFile);
@@ -146,6 +151,7 @@ async function extractImages(pdfPath, originalName) {
         const ext = path.extname(imageFile).slice(1);
         const baseName = path.basename(originalName, '.pdf');
         const newImageName = `${baseName}-image-${images.length + 1}.${ext}`;
+        const pageMatch = /-(\d+)-\d+\.\w+$/.exec(imageFile);
 
         images.push({
           name: newImageName,
@@ -153,7 +159,8 @@ async function extractImages(pdfPath, originalName) {
           type: `image/${ext}`,
           path: `attachments/${baseName}/${newImageName}`,
           hash: hash,
-          size: stats.size
+          size: stats.size,
+          pageIndex: pageMatch ? Number(pageMatch[1]) - 1 : undefined
         });
       }
 
@@ -261,20 +268,673 @@ async function extractImagesWithFallback(pdfPath, originalName) {
   }
 }
 
+/**
+ * Reads the outline (bookmarks) tree using pdf-lib
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<Array>} Outline entries { title, level, pageIndex } in outline order
+ */
+async function extractOutline(pdfPath) {
+  try {
+    const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFString, PDFHexString } = await import('pdf-lib');
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath), {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+
+    const outlines = pdfDoc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!outlines) return [];
+
+    const pageIndexByRef = new Map(
+      pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+    );
+    const isString = value => value instanceof PDFString || value instanceof PDFHexString;
+
+    // Named destinations live in the /Dests name tree or, in PDF 1.1, the catalog /Dests dictionary
+    const findNamed = (node, name, depth = 0) => {
+      if (!(node instanceof PDFDict) || depth > 32) return undefined;
+      const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+      if (names) {
+        for (let i = 0; i + 1 < names.size(); i += 2) {
+          const key = names.lookup(i);
+          if (isString(key) && key.decodeText() === name) return names.lookup(i + 1);
+        }
+      }
+      const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+      for (let i = 0; kids && i < kids.size(); i++) {
+        const found = findNamed(kids.lookup(i), name, depth + 1);
+        if (found) return found;
+      }
+      return undefined;
+    };
+
+    const lookupNamed = name => {
+      const tree = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+      const legacy = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+      return findNamed(tree, name) || legacy?.lookup(PDFName.of(name));
+    };
+
+    const resolvePageIndex = (dest, depth = 0) => {
+      if (!dest || depth > 4) return undefined;
+      if (isString(dest)) return resolvePageIndex(lookupNamed(dest.decodeText()), depth + 1);
+      if (dest instanceof PDFName) return resolvePageIndex(lookupNamed(dest.decodeText()), depth + 1);
+      if (dest instanceof PDFDict) return resolvePageIndex(dest.lookup(PDFName.of('D')), depth + 1);
+      if (dest instanceof PDFArray && dest.get(0) instanceof PDFRef) {
+        return pageIndexByRef.get(dest.get(0).toString());
+      }
+      return undefined;
+    };
+
+    const entries = [];
+    const visited = new Set();
+
+    const walk = (item, level) => {
+      // Sibling chains are followed iteratively; the visited set guards against cyclic outlines
+      while (item instanceof PDFDict && !visited.has(item)) {
+        visited.add(item);
+
+        const title = item.lookup(PDFName.of('Title'));
+        const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+        const dest = item.lookup(PDFName.of('Dest')) ||
+          (action?.lookup(PDFName.of('S'))?.decodeText?.() === 'GoTo' ? action.lookup(PDFName.of('D')) : undefined);
+
+        if (isString(title) && title.decodeText().trim()) {
+          entries.push({
+            title: title.decodeText().replace(/\s+/g, ' ').trim(),
+            level,
+            pageIndex: resolvePageIndex(dest)
+          });
+        }
+
+        walk(item.lookup(PDFName.of('First')), level + 1);
+        item = item.lookup(PDFName.of('Next'));
+      }
+    };
+
+    walk(outlines.lookup(PDFName.of('First')), 0);
+    console.log('📑 Read PDF outline:', { entries: entries.length });
+    return entries;
+  } catch (error) {
+    console.warn('Outline extraction failed:', error);
+    return [];
+  }
+}
+
 /**
  * Extract text from PDF using poppler-utils pdftotext
  * @param {string} pdfPath - Path to the PDF file
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<Array<string>>} - Text of each page, in page order
  */
 async function extractText(pdfPath) {
   try {
     // Use pdftotext command from poppler
     const command = `pdftotext "${pdfPath}" -`;
     const output = await executePopplerCommand(command);
-    return output.trim();
+
+    // pdftotext ends every page with a form feed
+    const pages = output.split('\f');
+    if (pages.length > 1 && !pages[pages.length - 1].trim()) {
+      pages.pop();
+    }
+    return pages.map(page => page.trim());
   } catch (error) {
     console.error('Text extraction error:', error);
-    return ''; // Return empty string if text extraction fails
+    return []; // Return no pages if text extraction fails
+  }
+}
+
+/**
+ * Reads the position of every word using pdftotext -bbox
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<Array<Array<Object>>>} Words of each page as { text, xMin, yMin, xMax, yMax },
+ *   in points from the top-left corner of the page's media box
+ */
+async function extractWordBoxes(pdfPath) {
+  try {
+    const output = await executePopplerCommand(`pdftotext -bbox "${pdfPath}" -`);
+    const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+    return output.split(/<page\b/).slice(1).map(page =>
+      [...page.matchAll(/<word xMin="([\d.-]+)" yMin="([\d.-]+)" xMax="([\d.-]+)" yMax="([\d.-]+)">([^<]*)<\/word>/g)]
+        .map(([, xMin, yMin, xMax, yMax, text]) => ({
+          text: text.replace(/&(amp|lt|gt|quot|apos);/g, entity => entities[entity]),
+          xMin: Number(xMin),
+          yMin: Number(yMin),
+          xMax: Number(xMax),
+          yMax: Number(yMax)
+        }))
+    );
+  } catch (error) {
+    console.error('Word box extraction error:', error);
+    return [];
+  }
+}
+
+// A table needs at least this many rows (header included) of two or more cells
+const MIN_TABLE_ROWS = 3;
+// Longer average cells read as a multi-column text layout rather than a table
+const MAX_TABLE_CELL_LENGTH = 30;
+
+/**
+ * Groups words into lines by their vertical position and splits each line
+ * into cells wherever the gap between words is wider than a normal space
+ * @param {Array<Object>} words - Words of a page from extractWordBoxes
+ * @returns {Array<Object>} Lines { yMin, yMax, height, cells: [{ text, xMin, xMax }] } top to bottom
+ */
+function groupWordsIntoLines(words) {
+  const lines = [];
+  const sorted = [...words].sort((a, b) => a.yMin - b.yMin || a.xMin - b.xMin);
+
+  for (const word of sorted) {
+    const center = (word.yMin + word.yMax) / 2;
+    const line = lines.find(candidate => center >= candidate.yMin && center <= candidate.yMax);
+    if (line) {
+      line.words.push(word);
+      line.yMin = Math.min(line.yMin, word.yMin);
+      line.yMax = Math.max(line.yMax, word.yMax);
+    } else {
+      lines.push({ yMin: word.yMin, yMax: word.yMax, words: [word] });
+    }
+  }
+
+  return lines
+    .sort((a, b) => a.yMin - b.yMin)
+    .map(line => {
+      const height = line.yMax - line.yMin;
+      const cells = [];
+      for (const word of line.words.sort((a, b) => a.xMin - b.xMin)) {
+        const cell = cells[cells.length - 1];
+        // Word spaces are about a third of the font size; column gaps are wider than the line is tall
+        if (cell && word.xMin - cell.xMax < height) {
+          cell.text += ` ${word.text}`;
+          cell.xMax = word.xMax;
+        } else {
+          cells.push({ text: word.text, xMin: word.xMin, xMax: word.xMax });
+        }
+      }
+      return { yMin: line.yMin, yMax: line.yMax, height, cells };
+    });
+}
+
+/**
+ * Works out the columns of a run of multi-cell lines, merging cells whose
+ * horizontal extents overlap. Returns null unless every row puts its cells
+ * in distinct columns and the cells are short enough to be table cells.
+ * @param {Array<Object>} rows - Lines from groupWordsIntoLines
+ * @returns {Array<Array<string>>|null} Cell text by row and column
+ */
+function buildTable(rows) {
+  const columns = [];
+  const cells = rows.flatMap(row => row.cells).sort((a, b) => a.xMin - b.xMin);
+  for (const cell of cells) {
+    const column = columns[columns.length - 1];
+    if (column && cell.xMin <= column.xMax) {
+      column.xMax = Math.max(column.xMax, cell.xMax);
+    } else {
+      columns.push({ xMin: cell.xMin, xMax: cell.xMax });
+    }
+  }
+
+  const averageLength = cells.reduce((sum, cell) => sum + cell.text.length, 0) / cells.length;
+  if (columns.length < 2 || averageLength > MAX_TABLE_CELL_LENGTH) return null;
+
+  const table = [];
+  for (const row of rows) {
+    const values = columns.map(() => '');
+    for (const cell of row.cells) {
+      const index = columns.findIndex(column => cell.xMin >= column.xMin && cell.xMax <= column.xMax);
+      if (values[index]) return null;
+      values[index] = cell.text;
+    }
+    table.push(values);
+  }
+  return looksLikeProse(table) ? null : table;
+}
+
+/**
+ * Tells narrow text columns apart from a table: prose breaks words with
+ * hyphens at line ends and fills every column with runs of several words
+ * @param {Array<Array<string>>} table - Cell text by row and column
+ * @returns {boolean} True when the columns read as running text
+ */
+function looksLikeProse(table) {
+  if (table.some(row => row.some(cell => /[a-z]-$/.test(cell)))) return true;
+
+  return table[0].every((_, index) => {
+    const cells = table.map(row => row[index]).filter(Boolean);
+    return cells.filter(cell => cell.split(' ').length >= 3).length > cells.length / 2;
+  });
+}
+
+/**
+ * Renders rows of cells as a GFM table, the first row as the header
+ * @param {Array<Array<string>>} table - Cell text by row and column
+ * @returns {string} Markdown table
+ */
+function renderTable(table) {
+  const renderRow = row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [
+    renderRow(table[0]),
+    `| ${table[0].map(() => '---').join(' | ')} |`,
+    ...table.slice(1).map(renderRow)
+  ].join('\n');
+}
+
+/**
+ * Finds tabular regions in a page from its word positions
+ * @param {Array<Object>} words - Words of a page from extractWordBoxes
+ * @returns {Array<Object>} Tables { markdown, words } with the words each one covers
+ */
+function detectTables(words) {
+  const lines = groupWordsIntoLines(words);
+  const tables = [];
+
+  for (let i = 0; i < lines.length;) {
+    // Collect the run of closely spaced multi-cell lines starting here
+    let end = i;
+    while (end < lines.length && lines[end].cells.length >= 2 &&
+      (end === i || lines[end].yMin - lines[end - 1].yMax < lines[end - 1].height * 1.5)) {
+      end++;
+    }
+
+    const rows = lines.slice(i, end);
+    const table = rows.length >= MIN_TABLE_ROWS ? buildTable(rows) : null;
+    if (table) {
+      tables.push({
+        markdown: renderTable(table),
+        words: rows.flatMap(row => row.cells.flatMap(cell => cell.text.split(' ')))
+      });
+      i = end;
+    } else {
+      i++;
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Replaces the lines pdftotext flattened each table into with the table
+ * itself, keeping the rest of the page text as pdftotext laid it out. A
+ * table is only placed where a run of lines holds exactly its words.
+ * @param {string} text - Page text from pdftotext
+ * @param {Array<Object>} tables - Tables from detectTables
+ * @returns {Object} { text, tables } with the number of tables placed
+ */
+function spliceTables(text, tables) {
+  const lines = text.split('\n');
+  let placed = 0;
+
+  for (const table of tables) {
+    const total = table.words.length;
+
+    for (let start = 0; start < lines.length; start++) {
+      if (!lines[start].trim()) continue;
+
+      // Take lines while every word on them is one of the table's words not yet used
+      let remaining = new Map();
+      table.words.forEach(word => remaining.set(word, (remaining.get(word) || 0) + 1));
+      let used = 0;
+      let end = start;
+      for (let i = start; i < lines.length && used < total; i++) {
+        const words = lines[i].split(/\s+/).filter(Boolean);
+        if (words.length === 0) continue;
+
+        const left = new Map(remaining);
+        const fits = words.every(word => {
+          if (!left.get(word)) return false;
+          left.set(word, left.get(word) - 1);
+          return true;
+        });
+        if (!fits) break;
+
+        remaining = left;
+        used += words.length;
+        end = i + 1;
+      }
+
+      if (used === total) {
+        lines.splice(start, end - start, '', table.markdown, '');
+        placed++;
+        break;
+      }
+    }
+  }
+
+  return { text: lines.join('\n').replace(/\n{3,}/g, '\n\n'), tables: placed };
+}
+
+// Annotation subtypes worth keeping, with the callout each becomes
+const ANNOTATION_TYPES = {
+  Highlight: { label: 'Highlight', callout: 'quote' },
+  Underline: { label: 'Underline', callout: 'quote' },
+  Text: { label: 'Note', callout: 'note' },
+  FreeText: { label: 'Text box', callout: 'note' }
+};
+
+/**
+ * Reads highlight, underline, sticky-note and free-text annotations using
+ * pdf-lib, quoting the words each highlight or underline covers
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {Array<Array<Object>>} wordBoxes - Words of each page from extractWordBoxes
+ * @returns {Promise<Array>} Annotations { pageIndex, type, quote, comment, author, color } in page order
+ */
+async function extractAnnotations(pdfPath, wordBoxes) {
+  try {
+    const { PDFDocument, PDFName, PDFArray, PDFDict, PDFNumber, PDFString, PDFHexString } = await import('pdf-lib');
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath), {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+
+    const readText = (dict, key) => {
+      const value = dict.lookup(PDFName.of(key));
+      return value instanceof PDFString || value instanceof PDFHexString
+        ? value.decodeText().replace(/\r\n?/g, '\n').trim()
+        : '';
+    };
+    const readNumbers = (dict, key) => {
+      const value = dict.lookupMaybe(PDFName.of(key), PDFArray);
+      return value
+        ? value.asArray().map(item => pdfDoc.context.lookup(item)).map(item => item instanceof PDFNumber ? item.asNumber() : 0)
+        : [];
+    };
+
+    const annotations = [];
+    pdfDoc.getPages().forEach((page, pageIndex) => {
+      const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+      if (!annots) return;
+
+      // pdftotext -bbox measures from the top-left of the media box (not the crop box),
+      // PDF space from the bottom-left of the user space
+      const mediaBox = page.getMediaBox();
+      const top = mediaBox.y + mediaBox.height;
+      const words = wordBoxes[pageIndex] || [];
+
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        if (!(annot instanceof PDFDict)) continue;
+
+        const subtype = annot.lookup(PDFName.of('Subtype'))?.decodeText?.();
+        if (!ANNOTATION_TYPES[subtype]) continue;
+
+        let quote = '';
+        if (subtype === 'Highlight' || subtype === 'Underline') {
+          // Each quad is four corners; fall back to the bounding rectangle
+          const points = readNumbers(annot, 'QuadPoints');
+          const rect = readNumbers(annot, 'Rect');
+          const quads = [];
+          for (let q = 0; q + 7 < points.length; q += 8) {
+            const xs = [points[q], points[q + 2], points[q + 4], points[q + 6]];
+            const ys = [points[q + 1], points[q + 3], points[q + 5], points[q + 7]];
+            quads.push([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+          }
+          if (quads.length === 0 && rect.length === 4) {
+            quads.push([Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]), Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])]);
+          }
+
+          quote = words
+            .filter(word => {
+              const x = (word.xMin + word.xMax) / 2 + mediaBox.x;
+              const y = top - (word.yMin + word.yMax) / 2;
+              return quads.some(([x1, y1, x2, y2]) => x >= x1 && x <= x2 && y >= y1 && y <= y2);
+            })
+            .map(word => word.text)
+            .join(' ');
+        }
+
+        const color = readNumbers(annot, 'C');
+        annotations.push({
+          pageIndex,
+          type: subtype,
+          quote,
+          comment: readText(annot, 'Contents'),
+          author: readText(annot, 'T'),
+          color: color.length === 3
+            ? '#' + color.map(channel => Math.round(Math.min(Math.max(channel, 0), 1) * 255).toString(16).padStart(2, '0')).join('')
+            : null
+        });
+      }
+    });
+
+    console.log('🖍️ Read PDF annotations:', { count: annotations.length });
+    return annotations.filter(annotation => annotation.quote || annotation.comment);
+  } catch (error) {
+    console.warn('Annotation extraction failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Renders an annotation as an Obsidian callout
+ * @param {Object} annotation - Annotation from extractAnnotations
+ * @param {string} pageLabel - Page reference shown in the callout title
+ * @returns {string} Markdown callout
+ */
+function renderAnnotation(annotation, pageLabel) {
+  const { label, callout } = ANNOTATION_TYPES[annotation.type];
+  const details = [annotation.author, annotation.color].filter(Boolean).join(' · ');
+  const body = [
+    annotation.quote ? `"${annotation.quote}"` : null,
+    annotation.comment || null,
+    details ? `*${details}*` : null
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    `> [!${callout}] ${label} · ${pageLabel}`,
+    ...body.split('\n').map(line => line ? `> ${line}` : '>')
+  ].join('\n');
+}
+
+/**
+ * Collapses the layout whitespace pdftotext and OCR leave behind
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+  return text
+    .replace(/(\r\n|\r|\n){3,}/g, '\n\n')
+    .replace(/[^\S\r\n]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reduces a line to letters and digits so outline titles match the page text
+ * despite differences in spacing, punctuation and case
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalizeTitle(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Turns outline entries into headings inside the page texts. The line that
+ * carries the entry's title becomes the heading; if no line matches, the
+ * heading is inserted after the previous heading on that page.
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {Array<Object>} outline - Outline entries with pageIndex
+ * @returns {Object} { pageTexts, headings } with headings in outline order
+ */
+function applyOutline(pageTexts, outline) {
+  const pages = pageTexts.map(text => text.split('\n'));
+  const cursors = pages.map(() => 0);
+  const headings = [];
+
+  for (const entry of outline) {
+    if (!(entry.pageIndex >= 0 && entry.pageIndex < pages.length)) continue;
+
+    const heading = `${'#'.repeat(Math.min(entry.level + 2, 6))} ${entry.title}`;
+    const lines = pages[entry.pageIndex];
+    const target = normalizeTitle(entry.title);
+    const start = cursors[entry.pageIndex];
+    const found = lines.findIndex((line, index) => index >= start && target && normalizeTitle(line) === target);
+
+    if (found !== -1) {
+      lines[found] = `\n${heading}\n`;
+      cursors[entry.pageIndex] = found + 1;
+    } else {
+      lines.splice(start, 0, `\n${heading}\n`);
+      cursors[entry.pageIndex] = start + 1;
+    }
+    headings.push(heading);
+  }
+
+  return {
+    pageTexts: pages.map(lines => lines.join('\n')),
+    headings
+  };
+}
+
+/**
+ * Renders an image reference
+ * @param {Object} image - Extracted image
+ * @returns {string} Markdown image link
+ */
+function renderImage(image) {
+  return `![${image.name}](${image.path})`;
+}
+
+/**
+ * Renders the text page by page, each page opened by a "## Page N" heading
+ * or a ^page-N block ID so "p. 42" can be linked, with every image placed
+ * under the page it came from
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {Array<Object>} images - Extracted images with pageIndex
+ * @param {string} anchor - 'heading' or 'block'
+ * @returns {string} Markdown
+ */
+function renderPages(pageTexts, images, anchor) {
+  const sections = pageTexts.map((pageText, index) => {
+    const page = index + 1;
+    const pageImages = images.filter(image => image.pageIndex === index);
+    return [
+      anchor === 'block' ? `**Page ${page}** ^page-${page}` : `## Page ${page}`,
+      cleanText(pageText),
+      ...pageImages.map(renderImage)
+    ].filter(Boolean).join('\n\n');
+  });
+
+  // Images whose page is unknown still belong in the note
+  const unplaced = images.filter(image => !(image.pageIndex >= 0 && image.pageIndex < pageTexts.length));
+  if (unplaced.length > 0) {
+    sections.push('## Extracted Images\n\n' + unplaced.map(renderImage).join('\n\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Reads the page count and document information from pdfinfo
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<Object>} { pages, title, author, creationDate }; pages is 0 if unknown
+ */
+async function getPdfInfo(pdfPath) {
+  try {
+    const output = await executePopplerCommand(`pdfinfo "${pdfPath}"`);
+    const field = name => new RegExp(`^${name}:\\s+(.*)$`, 'm').exec(output)?.[1].trim() || '';
+    return {
+      pages: Number(field('Pages')) || 0,
+      title: field('Title'),
+      author: field('Author'),
+      creationDate: field('CreationDate')
+    };
+  } catch (error) {
+    console.error('PDF info error:', error);
+    return { pages: 0, title: '', author: '', creationDate: '' };
+  }
+}
+
+/**
+ * Decides whether the text layer is too thin to be the real content,
+ * as with image-only scans
+ * @param {string} textContent - Text extracted by pdftotext
+ * @param {number} pageCount - Number of pages
+ * @returns {boolean} True if the pages should be OCRed
+ */
+function needsOcr(textContent, pageCount) {
+  const characters = textContent.replace(/\s/g, '').length;
+  return characters < Math.max(pageCount, 1) * pdfConverterConfig.options.ocrMinCharsPerPage;
+}
+
+/**
+ * Rasterises each page with pdftoppm and runs OCR on it, one page at a time
+ * so only a single page image is held in memory
+ * @param {string} pdfPath - Path to the PDF file
+ * @param {number} pageCount - Number of pages
+ * @param {Object} [options]
+ * @param {string} [options.language] - Tesseract language codes, e.g. "eng+deu"
+ * @returns {Promise<Object>} { pages: [{ page, text, confidence }], confidence, language }
+ */
+async function ocrPages(pdfPath, pageCount, { language } = {}) {
+  const tempDir = path.join(process.cwd(), 'temp', uuidv4());
+  const pages = [];
+  let ocrLanguage;
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+
+    for (let page = 1; page <= pageCount; page++) {
+      const pageRoot = path.join(tempDir, `page-${page}`);
+      const resolution = pdfConverterConfig.options.imageQuality;
+      await executePopplerCommand(
+        `pdftoppm -r ${resolution} -png -f ${page} -l ${page} -singlefile "${pdfPath}" "${pageRoot}"`
+      );
+
+      const pageImage = await fs.readFile(`${pageRoot}.png`);
+      const result = await recognizeText(pageImage, { language });
+      await fs.rm(`${pageRoot}.png`, { force: true });
+
+      console.log('🔍 OCR page completed:', { page, pageCount, confidence: result.confidence });
+      pages.push({ page, text: result.text, confidence: result.confidence });
+      ocrLanguage = result.language;
+    }
+
+    // Blank pages report no confidence worth averaging
+    const scored = pages.filter(page => page.text);
+    const confidence = scored.length > 0
+      ? Math.round(scored.reduce((sum, page) => sum + page.confidence, 0) / scored.length)
+      : 0;
+
+    return { pages, confidence, language: ocrLanguage };
+  } finally {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn('Failed to cleanup temp directory:', error);
+    }
+  }
+}
+
+/**
+ * Renders every page of a PDF to PNG with pdftoppm, e.g. slides that
+ * LibreOffice exported to PDF
+ * @param {Buffer} pdfBuffer - The PDF file buffer
+ * @param {Object} [options]
+ * @param {number} [options.resolution] - Resolution in DPI
+ * @returns {Promise<Array<Buffer>>} One PNG per page, in page order
+ */
+export async function renderPdfPages(pdfBuffer, { resolution = pdfConverterConfig.options.imageQuality } = {}) {
+  const tempDir = path.join(process.cwd(), 'temp', uuidv4());
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+    const pdfPath = path.join(tempDir, 'input.pdf');
+    await fs.writeFile(pdfPath, pdfBuffer);
+
+    await executePopplerCommand(`pdftoppm -r ${resolution} -png "${pdfPath}" "${path.join(tempDir, 'page')}"`);
+
+    // pdftoppm zero-pads page numbers to the width of the page count
+    const pageFiles = (await fs.readdir(tempDir))
+      .filter(file => /^page-\d+\.png$/.test(file))
+      .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+    return await Promise.all(pageFiles.map(file => fs.readFile(path.join(tempDir, file))));
+  } finally {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (error) {
+      console.warn('Failed to cleanup temp directory:', error);
+    }
   }
 }
 
@@ -330,6 +990,8 @@ export const pdfConverterConfig = {
   options: {
     imageQuality: 300,
     minImageSize: 5120, // 5KB
+    ocrMinCharsPerPage: 50, // Below this the text layer is treated as missing
+    lowOcrConfidence: 60,
     debug: false,
     popplerPath: process.env.POPPLER_PATH
   }
@@ -340,9 +1002,22 @@ export const pdfConverterConfig = {
  * @param {Buffer} input - The PDF file buffer
  * @param {string} originalName - Original filename for context
  * @param {string} [apiKey] - Optional API key (not used for PDF conversion)
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.ocr] - true forces OCR, false disables it; by default
+ *   OCR runs when the PDF has little or no text layer
+ * @param {string} [options.ocrLanguage] - Tesseract language codes, e.g. "eng+deu"
+ * @param {boolean} [options.pageAware] - Split the note per page with images under their page
+ * @param {string} [options.pageAnchor] - 'heading' for "## Page N" (default) or 'block' for ^page-N IDs;
+ *   when the outline supplies headings, pages are always anchored with block IDs
+ * @param {boolean} [options.outline] - false skips turning the PDF outline into headings
+ * @param {boolean} [options.tables] - true rebuilds tables pdftotext flattened as GFM tables
+ * @param {string} [options.profile] - 'paper' writes a literature note for an academic paper;
+ *   the page, outline and annotation options do not apply to it
+ * @param {string|boolean} [options.annotations] - 'inline' (or true) places annotation callouts
+ *   at the end of their page, 'note' collects them in a separate Annotations note
  * @returns {Promise<{content: string, images: Array}>} - Converted content and images
  */
-export async function convertPdfToMarkdown(input, originalName, apiKey) {
+export async function convertPdfToMarkdown(input, originalName, apiKey, options = {}) {
   // Declare tempDir at the top level of the function so it's available in finally block
   let tempDir;
   
@@ -369,8 +1044,98 @@ export async function convertPdfToMarkdown(input, originalName, apiKey) {
     }
 
     // Extract text using poppler instead of pdf-parse
-    const textContent = await extractText(tempPdfPath);
-    
+    let pageTexts = await extractText(tempPdfPath);
+    const info = await getPdfInfo(tempPdfPath);
+    const pageCount = info.pages || pageTexts.length;
+
+    // Scanned PDFs have no text layer, so read the page images instead
+    let ocr = null;
+    if (options.ocr !== false && pageCount > 0 &&
+        (options.ocr === true || needsOcr(pageTexts.join(''), pageCount))) {
+      try {
+        console.log('🔍 Running OCR on PDF pages:', { originalName, pageCount });
+        ocr = await ocrPages(tempPdfPath, pageCount, { language: options.ocrLanguage });
+        pageTexts = ocr.pages.map(page => page.text);
+      } catch (error) {
+        console.warn('PDF OCR failed, keeping the text layer:', error);
+      }
+    }
+
+    // Pages pdftotext left out entirely still get their heading
+    while (pageTexts.length < pageCount) {
+      pageTexts.push('');
+    }
+
+    // Word positions let tables be rebuilt, highlights be quoted and paper titles be found
+    const isPaper = options.profile === 'paper';
+    const wordBoxes = (!ocr && (options.tables === true || isPaper)) || options.annotations
+      ? await extractWordBoxes(tempPdfPath)
+      : [];
+
+    // Tables found from word positions replace their flattened lines; OCR text has none
+    let tableCount = 0;
+    if (!ocr && options.tables === true) {
+      wordBoxes.forEach((words, index) => {
+        const tables = index < pageTexts.length ? detectTables(words) : [];
+        if (tables.length > 0) {
+          const spliced = spliceTables(pageTexts[index], tables);
+          pageTexts[index] = spliced.text;
+          tableCount += spliced.tables;
+        }
+      });
+    }
+
+    // Papers become literature notes with their own structure
+    if (isPaper) {
+      const images = await extractImages(tempPdfPath, originalName);
+      const { content, references } = buildLiteratureNote({
+        pageTexts,
+        wordBoxes,
+        info,
+        originalName,
+        figures: images.map(renderImage),
+        ocr: !!ocr
+      });
+      console.log('🎓 Built literature note:', { originalName, references });
+
+      return {
+        success: true,
+        content,
+        images,
+        stats: {
+          inputSize: input.length,
+          outputSize: content.length,
+          imageCount: images.length
+        }
+      };
+    }
+
+    // Bookmarks give long documents their heading structure
+    let headings = [];
+    if (options.outline !== false) {
+      const outline = await extractOutline(tempPdfPath);
+      if (outline.length > 0) {
+        ({ pageTexts, headings } = applyOutline(pageTexts, outline));
+      }
+    }
+    const tableOfContents = headings.length > 0
+      ? generateTableOfContents(headings.join('\n'), { wikiLinks: true })
+      : null;
+
+    // Reader annotations, inline at their page or gathered in a note of their own
+    const annotations = options.annotations
+      ? await extractAnnotations(tempPdfPath, wordBoxes)
+      : [];
+    const annotationNote = options.annotations === 'note' && annotations.length > 0
+      ? `${path.basename(originalName, '.pdf')} Annotations`
+      : null;
+    if (annotations.length > 0 && !annotationNote) {
+      for (const annotation of annotations) {
+        const callout = renderAnnotation(annotation, `p. ${annotation.pageIndex + 1}`);
+        pageTexts[annotation.pageIndex] = `${pageTexts[annotation.pageIndex] || ''}\n\n${callout}`;
+      }
+    }
+
     // Extract images (using existing code)
     const images = await extractImages(tempPdfPath, originalName);
     
@@ -384,36 +1149,90 @@ export async function convertPdfToMarkdown(input, originalName, apiKey) {
       `source: ${originalName}`,
       `type: pdf`,
       `image_count: ${images.length}`,
+      ...(pageCount > 0 ? [`page_count: ${pageCount}`] : []),
+      ...(tableCount > 0 ? [`table_count: ${tableCount}`] : []),
+      ...(annotations.length > 0 ? [`annotation_count: ${annotations.length}`] : []),
+      ...(ocr ? [
+        'ocr: true',
+        `ocr_language: ${ocr.language}`,
+        `ocr_confidence: ${ocr.confidence}`
+      ] : []),
       '---',
       ''
     ].join('\n');
 
     // Process text content
-    const processedText = textContent
-      .replace(/(\r\n|\r|\n){3,}/g, '\n\n')
-      .replace(/[^\S\r\n]+/g, ' ')
-      .trim();
-
-    // Add image references (using existing code)
-    let imageSection = '';
-    if (images.length > 0) {
-      imageSection = '\n\n## Extracted Images\n\n' +
-        images.map(img => 
-          `![${img.name}](${img.path})`
-        ).join('\n\n');
-    }
-
-    const markdownContent = [
-      frontmatter,
-      '## Content\n',
-      processedText,
-      imageSection
-    ].join('\n');
+    const processedText = cleanText(pageTexts.filter(Boolean).join('\n\n'));
+
+    const ocrWarning = ocr && processedText && ocr.confidence < pdfConverterConfig.options.lowOcrConfidence
+      ? `> [!warning] Low OCR confidence (${ocr.confidence}%)\n> Check the text against the original scan.\n`
+      : null;
+
+    // Page headings would break up the outline's heading levels
+    const anchor = tableOfContents ? 'block' : options.pageAnchor;
+
+    const files = [];
+    if (annotationNote) {
+      // The note sits next to the main note, which is saved as index.md
+      const pageLabel = pageIndex => {
+        const page = pageIndex + 1;
+        if (!options.pageAware) return `p. ${page}`;
+        return anchor === 'block' ? `[[index#^page-${page}|p. ${page}]]` : `[[index#Page ${page}|p. ${page}]]`;
+      };
+      files.push({
+        name: `${annotationNote}.md`,
+        content: [
+          formatMetadata({
+            title: annotationNote,
+            source: originalName,
+            type: 'pdf-annotations',
+            annotations: annotations.length
+          }),
+          `# ${annotationNote}`,
+          '',
+          `Annotations from [[index|${baseName}]].`,
+          '',
+          annotations.map(annotation => renderAnnotation(annotation, pageLabel(annotation.pageIndex))).join('\n\n'),
+          ''
+        ].join('\n'),
+        type: 'text'
+      });
+    }
+    const annotationLink = annotationNote ? `**Annotations:** [[${annotationNote}]]\n` : null;
+
+    let markdownContent;
+    if (options.pageAware) {
+      markdownContent = [
+        frontmatter,
+        annotationLink,
+        ocrWarning,
+        tableOfContents,
+        renderPages(pageTexts, images, anchor),
+        ''
+      ].filter(part => part !== null).join('\n');
+    } else {
+      // Add image references (using existing code)
+      let imageSection = '';
+      if (images.length > 0) {
+        imageSection = '\n\n## Extracted Images\n\n' +
+          images.map(renderImage).join('\n\n');
+      }
+
+      markdownContent = [
+        frontmatter,
+        annotationLink,
+        tableOfContents || '## Content\n',
+        ocrWarning,
+        processedText,
+        imageSection
+      ].filter(part => part !== null).join('\n');
+    }
 
     return {
       success: true,
       content: markdownContent,
       images: images,
+      ...(files.length > 0 && { files }),
       stats: {
         inputSize: input.length,
         outputSize: markdownContent.length,
@@ -0,0 +1,29 @@
+// services/converter/text/pptConverter.js
+
+import { convertWithLibreOffice } from '../../../utils/libreOffice.js';
+import { convertPptxToMarkdown } from './pptxConverter.js';
+
+const OLE2_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0]);
+
+/**
+ * Converts a legacy PowerPoint (.ppt) buffer to Markdown by upgrading it to
+ * PPTX with LibreOffice, so the output matches the PPTX converter.
+ * @param {Buffer} input - The PPT file buffer.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options, passed on to the PPTX converter.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertPptToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    if (!Buffer.isBuffer(input) || !input.subarray(0, 4).equals(OLE2_SIGNATURE)) {
+      throw new Error('Invalid PPT format: Incorrect file signature');
+    }
+
+    const pptxBuffer = await convertWithLibreOffice(input, 'ppt', 'pptx');
+    return await convertPptxToMarkdown(pptxBuffer, originalName, apiKey, options);
+  } catch (error) {
+    console.error('PPT conversion error:', error);
+    throw error;
+  }
+}
@@ -1,21 +1,490 @@
 // services/converter/text/pptxConverter.js
 
 import JSZip from 'jszip';
-import TurndownService from 'turndown';
+import * as cheerio from 'cheerio';
 import path from 'path';
+import { convertWithLibreOffice } from '../../../utils/libreOffice.js';
+import { renderPdfPages } from './pdfConverter.js';
+
+// Placeholders that hold the slide heading
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+// Slide furniture repeated from the layout rather than slide content
+const SKIPPED_PLACEHOLDERS = ['dt', 'ftr', 'hdr', 'sldNum', 'sldImg'];
+// Placeholders whose paragraphs are bulleted unless they opt out
+const BULLETED_PLACEHOLDERS = ['body', 'obj'];
+const LIST_INDENT = '    ';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+// Windows metafiles, which Obsidian cannot display until converted to PNG
+const METAFILE_TYPES = {
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf'
+};
+// SmartArt point types that carry content; the rest describe layout
+const SMARTART_CONTENT_TYPES = ['node', 'asst'];
+// 96 DPI renders a 16:9 slide at 1280x720
+const SLIDE_RENDER_RESOLUTION = 96;
+
+/**
+ * Reads a part's relationships, resolving internal targets to zip paths
+ * @param {JSZip} zip - The PPTX archive
+ * @param {string} partName - Path of the part, e.g. ppt/slides/slide1.xml
+ * @returns {Promise<Map>} Relationship id => { type, target, external }
+ */
+async function readRelationships(zip, partName) {
+  const relationships = new Map();
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = await zip.file(relsName)?.async('string');
+  if (!xml) return relationships;
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  $('Relationship').each((_, element) => {
+    const $relationship = $(element);
+    const external = $relationship.attr('TargetMode') === 'External';
+    const target = $relationship.attr('Target');
+    relationships.set($relationship.attr('Id'), {
+      type: $relationship.attr('Type').split('/').pop(),
+      target: external ? target : path.posix.normalize(path.posix.join(path.posix.dirname(partName), target)),
+      external
+    });
+  });
+  return relationships;
+}
+
+/**
+ * Lists slide parts in presentation order, which can differ from their file
+ * numbering once slides are reordered
+ * @param {JSZip} zip - The PPTX archive
+ * @returns {Promise<Array<string>>} Slide part names
+ */
+async function getSlideParts(zip) {
+  const xml = await zip.file('ppt/presentation.xml')?.async('string');
+  if (xml) {
+    const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const parts = $('p\\:sldIdLst > p\\:sldId')
+      .map((_, element) => relationships.get($(element).attr('r:id'))?.target)
+      .get()
+      .filter(target => target && zip.file(target));
+    if (parts.length) return parts;
+  }
+
+  return Object.keys(zip.files)
+    .filter(fileName => /^ppt\/slides\/slide\d+\.xml$/.test(fileName))
+    .sort((a, b) => {
+      const numA = parseInt(a.match(/slide(\d+)\.xml/)[1]);
+      const numB = parseInt(b.match(/slide(\d+)\.xml/)[1]);
+      return numA - numB;
+    });
+}
+
+/**
+ * Renders the visible slides to PNG by exporting the deck to PDF with
+ * LibreOffice and rasterising the pages with poppler
+ * @param {Buffer} input - The PPTX file buffer
+ * @param {number} resolution - Resolution in DPI
+ * @returns {Promise<Array<Buffer>>} One PNG per visible slide, or none if rendering failed
+ */
+async function renderSlides(input, resolution) {
+  try {
+    const pdf = await convertWithLibreOffice(input, 'pptx', 'pdf');
+    const pages = await renderPdfPages(pdf, { resolution });
+    console.log('🖼️ Rendered slides:', { count: pages.length, resolution });
+    return pages;
+  } catch (error) {
+    console.warn('⚠️ Slide rendering failed, continuing with text only:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Gets a shape's placeholder type. Placeholders without a type are body placeholders.
+ * @param {cheerio.Cheerio} $shape - A p:sp element
+ * @returns {string|null} Placeholder type, or null if the shape is not a placeholder
+ */
+function getPlaceholderType($shape) {
+  const $placeholder = $shape.find('p\\:nvSpPr p\\:nvPr > p\\:ph');
+  if ($placeholder.length === 0) return null;
+  return $placeholder.attr('type') || 'body';
+}
+
+/**
+ * Renders a paragraph's runs as inline Markdown. Adjacent runs with the same
+ * formatting are merged first, since PowerPoint often splits words across runs.
+ * @param {cheerio.CheerioAPI} $ - Loaded slide XML
+ * @param {cheerio.Cheerio} $paragraph - An a:p element
+ * @param {Map} relationships - The slide's relationships, for hyperlinks
+ * @returns {string} Inline Markdown
+ */
+function renderRuns($, $paragraph, relationships) {
+  const segments = [];
+  $paragraph.children('a\\:r, a\\:fld, a\\:br').each((_, element) => {
+    if (element.name === 'a:br') {
+      segments.push({ text: '<br>', plain: true });
+      return;
+    }
+
+    const $properties = $(element).children('a\\:rPr');
+    const link = relationships.get($properties.children('a\\:hlinkClick').attr('r:id'));
+    const segment = {
+      text: $(element).children('a\\:t').text(),
+      bold: $properties.attr('b') === '1',
+      italic: $properties.attr('i') === '1',
+      href: link?.external ? link.target : null
+    };
+
+    const previous = segments[segments.length - 1];
+    if (previous && !previous.plain && previous.bold === segment.bold &&
+        previous.italic === segment.italic && previous.href === segment.href) {
+      previous.text += segment.text;
+    } else {
+      segments.push(segment);
+    }
+  });
+
+  return segments.map(segment => {
+    if (segment.plain) return segment.text;
+
+    const [, before, text, after] = /^(\s*)([^]*?)(\s*)$/.exec(segment.text);
+    if (!text) return segment.text;
+
+    let markdown = text;
+    if (segment.italic) markdown = `*${markdown}*`;
+    if (segment.bold) markdown = `**${markdown}**`;
+    if (segment.href) markdown = `[${markdown}](${segment.href})`;
+    return `${before}${markdown}${after}`;
+  }).join('').trim();
+}
+
+/**
+ * Renders a text body as Markdown, keeping bullet levels as nested lists and
+ * separating plain paragraphs with blank lines
+ * @param {cheerio.CheerioAPI} $ - Loaded slide XML
+ * @param {cheerio.Cheerio} $textBody - A p:txBody element
+ * @param {Object} options
+ * @param {boolean} options.bulleted - Whether paragraphs are bulleted by default
+ * @param {Map} options.relationships - The part's relationships
+ * @returns {string} Markdown
+ */
+function renderTextBody($, $textBody, { bulleted, relationships }) {
+  const blocks = [];
+  let list = [];
+  const flushList = () => {
+    if (list.length) blocks.push(list.join('\n'));
+    list = [];
+  };
+
+  $textBody.children('a\\:p').each((_, element) => {
+    const $paragraph = $(element);
+    const text = renderRuns($, $paragraph, relationships);
+    if (!text) return;
+
+    const $properties = $paragraph.children('a\\:pPr');
+    const level = Math.min(Number($properties.attr('lvl')) || 0, 8);
+    const numbered = $properties.children('a\\:buAutoNum').length > 0;
+    const isBullet = $properties.children('a\\:buNone').length === 0 &&
+      (bulleted || numbered || $properties.children('a\\:buChar, a\\:buBlip').length > 0);
+
+    if (isBullet) {
+      list.push(`${LIST_INDENT.repeat(level)}${numbered ? '1.' : '-'} ${text}`);
+    } else {
+      flushList();
+      blocks.push(text);
+    }
+  });
+  flushList();
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders rows as a GFM table. Cells are Markdown already; pipes are escaped.
+ * @param {Array<string>} header - Header cells; may be empty strings
+ * @param {Array<Array<string>>} rows - Body rows
+ * @returns {string} Markdown table
+ */
+function renderMarkdownTable(header, rows) {
+  const columns = Math.max(header.length, ...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: columns }, (_, index) =>
+    String(cells[index] ?? '').replace(/\|/g, '\\|').replace(/\n+/g, '<br>')).join(' | ')} |`;
+  return [line(header), `|${' --- |'.repeat(columns)}`, ...rows.map(line)].join('\n');
+}
+
+/**
+ * Renders an a:tbl table. The first row is the header when the table is
+ * styled with one, otherwise an empty header is added as GFM requires.
+ * Tables with merged cells stay HTML, which GFM cannot express.
+ * @param {cheerio.CheerioAPI} $ - Loaded slide XML
+ * @param {cheerio.Cheerio} $table - An a:tbl element
+ * @param {Map} relationships - The slide's relationships
+ * @returns {string} Markdown or HTML table
+ */
+function renderTable($, $table, relationships) {
+  const hasHeader = ['1', 'true'].includes($table.children('a\\:tblPr').attr('firstRow'));
+  const rows = $table.children('a\\:tr').toArray().map(row => $(row).children('a\\:tc').toArray());
+  const cellParagraphs = cell => $(cell).find('a\\:txBody > a\\:p').toArray();
+
+  const isMerged = rows.flat().some(cell =>
+    Number($(cell).attr('gridSpan')) > 1 || Number($(cell).attr('rowSpan')) > 1);
+  if (isMerged) {
+    const html = rows.map((cells, rowIndex) => {
+      const tag = hasHeader && rowIndex === 0 ? 'th' : 'td';
+      const rendered = cells
+        .filter(cell => !['1', 'true'].includes($(cell).attr('hMerge')) && !['1', 'true'].includes($(cell).attr('vMerge')))
+        .map(cell => {
+          const spans = [['colspan', 'gridSpan'], ['rowspan', 'rowSpan']]
+            .filter(([, attribute]) => Number($(cell).attr(attribute)) > 1)
+            .map(([name, attribute]) => ` ${name}="${$(cell).attr(attribute)}"`)
+            .join('');
+          const text = cellParagraphs(cell)
+            .map(paragraph => escapeHtml($(paragraph).find('a\\:t').text().trim()))
+            .filter(Boolean)
+            .join('<br>');
+          return `<${tag}${spans}>${text}</${tag}>`;
+        });
+      return `<tr>${rendered.join('')}</tr>`;
+    });
+    return ['<table>', ...html, '</table>'].join('\n');
+  }
+
+  const cells = rows.map(row => row.map(cell => cellParagraphs(cell)
+    .map(paragraph => renderRuns($, $(paragraph), relationships))
+    .filter(Boolean)
+    .join('<br>')));
+  if (cells.length === 0) return '';
+
+  return hasHeader
+    ? renderMarkdownTable(cells[0], cells.slice(1))
+    : renderMarkdownTable(cells[0].map(() => ''), cells);
+}
+
+/**
+ * Reads the cached points of a chart data reference, e.g. c:cat or c:val
+ * @param {cheerio.CheerioAPI} $ - Loaded chart XML
+ * @param {cheerio.Cheerio} $reference - Element holding a string, number or multi-level cache
+ * @returns {Array<string>} Point values by index
+ */
+function readCachedPoints($, $reference) {
+  // Multi-level categories list the innermost level first
+  const $cache = $reference.find('c\\:strCache, c\\:numCache, c\\:multiLvlStrCache > c\\:lvl').first();
+  const count = Number($reference.find('c\\:ptCount').first().attr('val')) || 0;
+  const points = Array.from({ length: count }, () => '');
+
+  $cache.children('c\\:pt').each((_, element) => {
+    const value = $(element).children('c\\:v').text();
+    const number = Number(value);
+    // Cached doubles carry float noise, e.g. 4.3000000000000007
+    points[Number($(element).attr('idx'))] = value !== '' && !Number.isNaN(number) && $cache.is('c\\:numCache')
+      ? String(Number(number.toPrecision(12)))
+      : value;
+  });
+  return points;
+}
+
+/**
+ * Renders an embedded chart as a data table built from the values PowerPoint
+ * caches in the chart part, one column per series
+ * @param {JSZip} zip - The PPTX archive
+ * @param {Object} part - The chart relationship
+ * @returns {Promise<string>} Markdown, or an empty string
+ */
+async function renderChart(zip, part) {
+  const xml = part && await zip.file(part.target)?.async('string');
+  if (!xml) return '';
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const $plotArea = $('c\\:chart > c\\:plotArea');
+  const chartTypes = $plotArea.children()
+    .toArray()
+    .map(element => element.name.replace(/^c:/, ''))
+    .filter(name => name.endsWith('Chart'))
+    .map(name => name.replace(/Chart$/, ''));
+
+  const series = $plotArea.find('c\\:ser').toArray().map((element, index) => {
+    const $series = $(element);
+    const $name = $series.children('c\\:tx');
+    return {
+      name: $name.find('c\\:v').first().text() || `Series ${index + 1}`,
+      categories: readCachedPoints($, $series.children('c\\:cat, c\\:xVal')),
+      values: readCachedPoints($, $series.children('c\\:val, c\\:yVal'))
+    };
+  });
+  if (series.length === 0) return '';
+
+  const title = $('c\\:chart > c\\:title').find('a\\:t').map((_, text) => $(text).text()).get().join('').trim() ||
+    (series.length === 1 && series[0].name) || 'Chart';
+  const categories = series.find(item => item.categories.length)?.categories || [];
+  const rowCount = Math.max(categories.length, ...series.map(item => item.values.length));
+  const rows = Array.from({ length: rowCount }, (_, index) => [
+    categories[index] ?? String(index + 1),
+    ...series.map(item => item.values[index] ?? '')
+  ]);
+
+  return [
+    `**${title}** (${chartTypes.join(', ') || 'unknown'} chart)`,
+    '',
+    renderMarkdownTable([$plotArea.find('c\\:xVal').length ? 'X' : 'Category', ...series.map(item => item.name)], rows)
+  ].join('\n');
+}
 
 /**
- * Simple XML text extractor using regex
- * @param {string} xml - XML content
- * @returns {string} - Extracted text
+ * Flattens SmartArt diagram data into a nested list, following the
+ * parent-of connections between its points
+ * @param {JSZip} zip - The PPTX archive
+ * @param {Object} part - The diagram data relationship
+ * @returns {Promise<string>} Markdown list, or an empty string
  */
-function extractTextFromXml(xml) {
-  // Extract text between <a:t> tags
-  const matches = xml.match(/<a:t>([^<]*)<\/a:t>/g) || [];
-  return matches
-    .map(match => match.replace(/<a:t>|<\/a:t>/g, ''))
-    .join(' ')
-    .trim();
+async function renderSmartArt(zip, part) {
+  const xml = part && await zip.file(part.target)?.async('string');
+  if (!xml) return '';
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const points = new Map();
+  $('dgm\\:ptLst > dgm\\:pt').each((_, element) => {
+    const $point = $(element);
+    points.set($point.attr('modelId'), {
+      type: $point.attr('type') || 'node',
+      text: $point.children('dgm\\:t').find('a\\:p')
+        .map((_, paragraph) => $(paragraph).find('a\\:t').text().trim())
+        .get()
+        .filter(Boolean)
+        .join(' ')
+    });
+  });
+
+  const children = new Map();
+  $('dgm\\:cxnLst > dgm\\:cxn')
+    .filter((_, element) => ($(element).attr('type') || 'parOf') === 'parOf')
+    .each((_, element) => {
+      const $connection = $(element);
+      const parent = $connection.attr('srcId');
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push({ id: $connection.attr('destId'), order: Number($connection.attr('srcOrd')) || 0 });
+    });
+
+  const lines = [];
+  const visited = new Set();
+  const walk = (id, depth) => {
+    const sorted = (children.get(id) || []).sort((a, b) => a.order - b.order);
+    for (const { id: childId } of sorted) {
+      const point = points.get(childId);
+      if (!point || visited.has(childId) || !SMARTART_CONTENT_TYPES.includes(point.type)) continue;
+      visited.add(childId);
+      // Empty shapes still group their children
+      if (point.text) {
+        lines.push(`${LIST_INDENT.repeat(depth)}- ${point.text}`);
+        walk(childId, depth + 1);
+      } else {
+        walk(childId, depth);
+      }
+    }
+  };
+
+  const root = [...points].find(([, point]) => point.type === 'doc');
+  if (root) walk(root[0], 0);
+  return lines.join('\n');
+}
+
+/**
+ * Parses a slide into its title and body, in shape order. Body content covers
+ * text shapes, tables, charts and SmartArt.
+ * @param {JSZip} zip - The PPTX archive
+ * @param {string} xml - Slide XML
+ * @param {Map} relationships - The slide's relationships
+ * @returns {Promise<Object>} { title, body, hidden }
+ */
+async function parseSlide(zip, xml, relationships) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  let title = '';
+  const body = [];
+
+  for (const element of $('p\\:cSld').find('p\\:sp, p\\:graphicFrame').toArray()) {
+    const $shape = $(element);
+
+    if (element.name === 'p:graphicFrame') {
+      const $table = $shape.find('a\\:tbl').first();
+      const chartId = $shape.find('c\\:chart').attr('r:id');
+      const diagramId = $shape.find('dgm\\:relIds').attr('r:dm');
+      const content = $table.length ? renderTable($, $table, relationships)
+        : chartId ? await renderChart(zip, relationships.get(chartId))
+        : diagramId ? await renderSmartArt(zip, relationships.get(diagramId))
+        : '';
+      if (content) body.push(content);
+      continue;
+    }
+
+    const placeholder = getPlaceholderType($shape);
+    const $textBody = $shape.children('p\\:txBody');
+    if ($textBody.length === 0 || SKIPPED_PLACEHOLDERS.includes(placeholder)) continue;
+
+    if (TITLE_PLACEHOLDERS.includes(placeholder) && !title) {
+      title = $textBody.find('a\\:p')
+        .map((_, paragraph) => $(paragraph).find('a\\:t').text().trim())
+        .get()
+        .filter(Boolean)
+        .join(' ');
+      if (title) continue;
+    }
+
+    const text = renderTextBody($, $textBody, {
+      bulleted: BULLETED_PLACEHOLDERS.includes(placeholder),
+      relationships
+    });
+    if (text) body.push(text);
+  }
+
+  return { title, body: body.join('\n\n'), hidden: $('p\\:sld').attr('show') === '0' };
+}
+
+/**
+ * Reads the speaker notes linked from a slide
+ * @param {JSZip} zip - The PPTX archive
+ * @param {Map} relationships - The slide's relationships
+ * @returns {Promise<string>} Notes as Markdown, or an empty string
+ */
+async function readSpeakerNotes(zip, relationships) {
+  const notesPart = [...relationships.values()].find(relationship => relationship.type === 'notesSlide');
+  const xml = notesPart && await zip.file(notesPart.target)?.async('string');
+  if (!xml) return '';
+
+  const notesRelationships = await readRelationships(zip, notesPart.target);
+  const $ = cheerio.load(xml, { xmlMode: true });
+  return $('p\\:cSld p\\:sp')
+    .filter((_, element) => getPlaceholderType($(element)) === 'body')
+    .map((_, element) => renderTextBody($, $(element).children('p\\:txBody'), {
+      bulleted: false,
+      relationships: notesRelationships
+    }))
+    .get()
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Renders speaker notes as an Obsidian callout
+ * @param {string} notes - Notes as Markdown
+ * @returns {string} Callout Markdown
+ */
+function renderNotes(notes) {
+  return ['> [!note] Speaker notes', ...notes.split('\n').map(line => line ? `> ${line}` : '>')].join('\n');
 }
 
 /**
@@ -23,63 +492,93 @@ function extractTextFromXml(xml) {
  * @param {Buffer} input - The PPTX file buffer.
  * @param {string} originalName - Original filename for context.
  * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options.
+ * @param {boolean} [options.renderSlides] - Render each slide to a PNG embedded at the top of
+ *   its section; needs LibreOffice and poppler.
+ * @param {number} [options.slideResolution] - Resolution of slide renders in DPI.
  * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
  * @throws {Error} - If conversion fails.
  */
-export async function convertPptxToMarkdown(input, originalName, apiKey) {
+export async function convertPptxToMarkdown(input, originalName, apiKey, options = {}) {
   try {
     const zip = await JSZip.loadAsync(input);
     const presentationName = path.basename(originalName, path.extname(originalName));
     
     // Extract slides content
-    const slideFiles = Object.keys(zip.files)
-      .filter(fileName => /^ppt\/slides\/slide\d+\.xml$/.test(fileName))
-      .sort((a, b) => {
-        const numA = parseInt(a.match(/slide(\d+)\.xml/)[1]);
-        const numB = parseInt(b.match(/slide(\d+)\.xml/)[1]);
-        return numA - numB;
-      });
+    const slideFiles = await getSlideParts(zip);
 
-    // Initialize markdown content with metadata
-    let markdown = [
-      `# ${presentationName}`,
-      '',
-      '---',
-      'type: presentation',
-      `created: ${new Date().toISOString()}`,
-      `original: ${originalName}`,
-      '---',
-      '',
-      ''
-    ].join('\n');
+    // LibreOffice leaves hidden slides out of the export, so renders follow the visible slides
+    const slideRenders = options.renderSlides
+      ? await renderSlides(input, options.slideResolution || SLIDE_RENDER_RESOLUTION)
+      : [];
+    let renderIndex = 0;
+
+    let markdown = '';
+    let renderedSlides = 0;
 
     const images = [];
 
     // Process each slide
-    for (const slideFileName of slideFiles) {
-      const slideNumber = slideFileName.match(/slide(\d+)\.xml/)[1];
+    for (const [index, slideFileName] of slideFiles.entries()) {
+      const slideNumber = index + 1;
       const slideXml = await zip.file(slideFileName).async('string');
-      const slideText = extractTextFromXml(slideXml);
-      
-      markdown += `## Slide ${slideNumber}\n\n`;
+      const relationships = await readRelationships(zip, slideFileName);
+      const { title, body, hidden } = await parseSlide(zip, slideXml, relationships);
+      const notes = await readSpeakerNotes(zip, relationships);
+
+      markdown += `## ${title || `Slide ${slideNumber}`}\n\n`;
+
+      const render = hidden ? null : slideRenders[renderIndex++];
+      if (render) {
+        const filename = `${presentationName}_slide${slideNumber}.png`;
+        images.push({ filename, data: render.toString('base64'), type: 'image/png' });
+        markdown += `![[${filename}]]\n\n`;
+        renderedSlides++;
+      }
       
       // Extract images for this slide
-      const slideImages = await extractImagesForSlide(zip, slideNumber, presentationName);
+      const slideImages = await extractImagesForSlide(zip, relationships, slideNumber, presentationName);
       images.push(...slideImages);
       
-      // Add image references using Obsidian attachment format
+      // Add image references using Obsidian attachment format; metafiles that
+      // could not be converted are linked rather than embedded
       slideImages.forEach(img => {
-        markdown += `![[${img.filename}]]\n\n`;
+        markdown += `${img.embeddable ? '!' : ''}[[${img.filename}]]\n\n`;
       });
       
       // Add slide text content
-      if (slideText) {
-        markdown += `${slideText}\n\n`;
+      if (body) {
+        markdown += `${body}\n\n`;
+      }
+
+      if (notes) {
+        markdown += `${renderNotes(notes)}\n\n`;
       }
       
       markdown += `---\n\n`;
     }
 
+    if (slideRenders.length && slideRenders.length !== renderIndex) {
+      console.warn('⚠️ Slide render count differs from visible slide count:', {
+        renders: slideRenders.length,
+        visibleSlides: renderIndex
+      });
+    }
+
+    // Metadata goes in front once the number of embedded renders is known
+    markdown = [
+      `# ${presentationName}`,
+      '',
+      '---',
+      'type: presentation',
+      `created: ${new Date().toISOString()}`,
+      `original: ${originalName}`,
+      ...(options.renderSlides ? [`rendered_slides: ${renderedSlides}`] : []),
+      '---',
+      '',
+      ''
+    ].join('\n') + markdown;
+
     return {
       content: markdown.trim(),
       images: images.map(img => ({
@@ -96,38 +595,61 @@ export async function convertPptxToMarkdown(input, originalName, apiKey) {
   }
 }
 
-async function extractImagesForSlide(zip, slideNumber, presentationName) {
+/**
+ * Collects the images a slide references. EMF and WMF metafiles are converted
+ * to PNG with LibreOffice; if that fails the original file is kept and linked.
+ * @param {JSZip} zip - The PPTX archive
+ * @param {Map} relationships - The slide's relationships
+ * @param {string} slideNumber - Slide number, used in file names
+ * @param {string} presentationName - Presentation name, used in file names
+ * @returns {Promise<Array<Object>>} [{ filename, data, type, slideNumber, embeddable }]
+ */
+async function extractImagesForSlide(zip, relationships, slideNumber, presentationName) {
   const images = [];
-  const mediaFolder = zip.folder('ppt/media');
-  
-  if (mediaFolder) {
-    // Get relationship file for this slide
-    const relsFile = `ppt/slides/_rels/slide${slideNumber}.xml.rels`;
-    const relsContent = await zip.file(relsFile)?.async('string');
-    
-    if (relsContent) {
-      // Find image references in relationships
-      const imageRefs = relsContent.match(/Target="\.\.\/media\/[^"]+"/g) || [];
-      
-      for (const ref of imageRefs) {
-        const imageFile = ref.match(/media\/([^"]+)/)[1];
-        const file = mediaFolder.file(imageFile);
-        
-        if (file && /\.(png|jpg|jpeg|gif|svg)$/i.test(imageFile)) {
-          const imageData = await file.async('base64');
-          const extension = path.extname(imageFile);
-          const filename = `${presentationName}_slide${slideNumber}_${path.basename(imageFile)}`;
-          
-          images.push({
-            filename,
-            data: imageData,
-            type: `image/${extension.slice(1).toLowerCase()}`,
-            slideNumber: parseInt(slideNumber)
-          });
-        }
-      }
+  const imageParts = [...relationships.values()]
+    .filter(relationship => relationship.type === 'image' && !relationship.external);
+
+  for (const { target } of imageParts) {
+    const file = zip.file(target);
+    const extension = path.extname(target).slice(1).toLowerCase();
+    if (!file || !(IMAGE_TYPES[extension] || METAFILE_TYPES[extension])) continue;
+
+    const filename = `${presentationName}_slide${slideNumber}_${path.basename(target)}`;
+    if (IMAGE_TYPES[extension]) {
+      images.push({
+        filename,
+        data: await file.async('base64'),
+        type: IMAGE_TYPES[extension],
+        slideNumber: parseInt(slideNumber),
+        embeddable: true
+      });
+      continue;
+    }
+
+    const buffer = await file.async('nodebuffer');
+    try {
+      const png = await convertWithLibreOffice(buffer, extension, 'png');
+      images.push({
+        filename: `${path.basename(filename, path.extname(filename))}.png`,
+        data: png.toString('base64'),
+        type: 'image/png',
+        slideNumber: parseInt(slideNumber),
+        embeddable: true
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not convert ${extension.toUpperCase()} image, keeping original:`, {
+        file: target,
+        error: error.message
+      });
+      images.push({
+        filename,
+        data: buffer.toString('base64'),
+        type: METAFILE_TYPES[extension],
+        slideNumber: parseInt(slideNumber),
+        embeddable: false
+      });
     }
   }
-  
+
   return images;
 }
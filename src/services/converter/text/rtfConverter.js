@@ -0,0 +1,739 @@
+// services/converter/text/rtfConverter.js
+
+import path from 'path';
+import { htmlToMarkdown } from '../../../utils/htmlToMarkdown.js';
+
+// Destinations whose text never belongs in the document body
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+  'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'mmathPr', 'pgdsctbl', 'filetbl',
+  'revtbl', 'userprops', 'nonshppict', 'fldinst'
+]);
+
+// Control symbols that stand for a single character
+const SYMBOLS = {
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  tab: '\t'
+};
+
+// Windows code pages mapped to WHATWG encoding labels
+const CODE_PAGES = {
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5'
+};
+
+// Font charsets (\fcharsetN) mapped to Windows code pages
+const FONT_CHARSETS = {
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250
+};
+
+// Characters at 0x80-0x9F in Windows-1252; Node's TextDecoder reads that label as Latin-1
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+/**
+ * Decodes \'hh bytes in a Windows code page
+ * @param {Array<number>} bytes - Raw bytes
+ * @param {number} codePage - Windows code page number
+ * @returns {string} Decoded text
+ */
+function decodeBytes(bytes, codePage) {
+  if (codePage === 1252) {
+    return String.fromCharCode(...bytes).replace(/[\x80-\x9f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]);
+  }
+  try {
+    return new TextDecoder(CODE_PAGES[codePage] || `windows-${codePage}`).decode(Uint8Array.from(bytes));
+  } catch {
+    return decodeBytes(bytes, 1252);
+  }
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Creates the formatting state of a new document
+ * @returns {Object} Default state
+ */
+function createInitialState() {
+  return {
+    destination: null,
+    skip: false,
+    unicodeSkip: 1,
+    bold: false,
+    italic: false,
+    underline: false,
+    strike: false,
+    valign: null,
+    hidden: false,
+    font: null,
+    style: 0,
+    inTable: false,
+    listLevel: null
+  };
+}
+
+/**
+ * Interprets RTF control words into paragraphs, list items and tables
+ */
+class RtfInterpreter {
+  constructor() {
+    this.state = createInitialState();
+    this.stack = [];
+    this.codePage = 1252;
+    this.defaultFont = null;
+    this.fontCharsets = new Map();
+    this.pendingBytes = [];
+    this.styles = new Map();
+    this.blocks = [];
+    this.runs = [];
+    this.link = null;
+    this.fieldInstruction = '';
+    this.listText = '';
+    this.styleText = '';
+    this.table = null;
+    this.row = null;
+    this.cell = [];
+  }
+
+  /**
+   * Parses an RTF document
+   * @param {string} rtf - The RTF source
+   * @returns {Array<Object>} Document blocks
+   */
+  parse(rtf) {
+    let i = 0;
+    while (i < rtf.length) {
+      const char = rtf[i];
+
+      if (char === '{') {
+        this.flushBytes();
+        this.stack.push({ ...this.state });
+        // Each group directly inside the stylesheet is one style entry
+        if (this.state.destination === 'stylesheet' && !this.state.styleEntry) {
+          this.state.styleEntry = true;
+          this.styleText = '';
+        }
+        i++;
+      } else if (char === '}') {
+        this.flushBytes();
+        this.endGroup();
+        i++;
+      } else if (char === '\\') {
+        i = this.readControl(rtf, i);
+      } else if (char === '\r' || char === '\n') {
+        i++;
+      } else {
+        this.flushBytes();
+        this.addText(char);
+        i++;
+      }
+    }
+
+    this.flushBytes();
+    this.endParagraph();
+    this.endTable();
+    return this.blocks;
+  }
+
+  /**
+   * Reads a control word or control symbol starting at a backslash
+   * @param {string} rtf - The RTF source
+   * @param {number} start - Index of the backslash
+   * @returns {number} Index after the control
+   */
+  readControl(rtf, start) {
+    const next = rtf[start + 1];
+
+    if (next === '\'') {
+      this.pendingBytes.push(parseInt(rtf.substr(start + 2, 2), 16));
+      return start + 4;
+    }
+
+    this.flushBytes();
+
+    if (next === '\\' || next === '{' || next === '}') {
+      this.addText(next);
+      return start + 2;
+    }
+    if (next === '~') {
+      this.addText(' ');
+      return start + 2;
+    }
+    if (next === '_') {
+      this.addText('‑');
+      return start + 2;
+    }
+    if (next === '*') {
+      this.state.ignorable = true;
+      return start + 2;
+    }
+    if (next === '\r' || next === '\n') {
+      this.handleWord('par');
+      return start + 2;
+    }
+
+    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(start + 1, start + 40));
+    if (!match) {
+      return start + 2;
+    }
+
+    const [token, word, param] = match;
+    const end = start + 1 + token.length;
+
+    if (word === 'u') {
+      const code = parseInt(param, 10);
+      this.addText(String.fromCharCode(code < 0 ? code + 65536 : code));
+      return this.skipFallback(rtf, end);
+    }
+
+    this.handleWord(word, param === undefined ? null : parseInt(param, 10));
+    return end;
+  }
+
+  /**
+   * Skips the ANSI fallback characters that follow a \u control word
+   * @param {string} rtf - The RTF source
+   * @param {number} start - Index after the \u control word
+   * @returns {number} Index after the fallback
+   */
+  skipFallback(rtf, start) {
+    let i = start;
+    for (let skipped = 0; skipped < this.state.unicodeSkip && i < rtf.length; skipped++) {
+      if (rtf[i] === '\\' && rtf[i + 1] === '\'') {
+        i += 4;
+      } else if (rtf[i] === '\\' || rtf[i] === '{' || rtf[i] === '}') {
+        break;
+      } else {
+        i++;
+      }
+    }
+    return i;
+  }
+
+  /**
+   * Applies a control word to the current state
+   * @param {string} word - Control word without the backslash
+   * @param {number|null} param - Numeric parameter, if any
+   */
+  handleWord(word, param) {
+    const state = this.state;
+    const enabled = param !== 0;
+
+    // The first control word of a \* group names an optional destination
+    if (state.ignorable) {
+      state.ignorable = false;
+      if (word !== 'fldinst' && word !== 'listtext' && word !== 'pntext') {
+        state.skip = true;
+        return;
+      }
+    }
+
+    // Font entries carry the charset their \'hh bytes are encoded in
+    if (state.destination === 'fonttbl') {
+      if (word === 'f') {
+        state.fontIndex = param;
+      } else if (word === 'fcharset' && state.fontIndex !== undefined) {
+        this.fontCharsets.set(state.fontIndex, param);
+      }
+      return;
+    }
+
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      state.destination = word;
+      if (word === 'fldinst') {
+        this.fieldInstruction = '';
+      }
+      return;
+    }
+
+    switch (word) {
+      case 'ansicpg':
+        if (CODE_PAGES[param] || param >= 1250 && param <= 1258) {
+          this.codePage = param;
+        }
+        break;
+      case 'deff':
+        this.defaultFont = param;
+        break;
+      case 'f':
+        state.font = param;
+        break;
+      case 'stylesheet':
+        state.destination = 'stylesheet';
+        break;
+      case 'listtext':
+      case 'pntext':
+        state.destination = 'listtext';
+        this.listText = '';
+        break;
+      case 'fldrslt':
+        state.destination = 'fldrslt';
+        break;
+      case 'uc':
+        state.unicodeSkip = param ?? 1;
+        break;
+      case 's':
+        if (state.destination === 'stylesheet') {
+          state.styleIndex = param;
+        } else {
+          state.style = param;
+        }
+        break;
+      case 'par':
+      case 'sect':
+      case 'page':
+        this.endParagraph();
+        break;
+      case 'line':
+        this.addRun('\n');
+        break;
+      case 'pard':
+        Object.assign(state, { style: 0, inTable: false, listLevel: null });
+        break;
+      case 'plain':
+        Object.assign(state, {
+          bold: false, italic: false, underline: false, strike: false, valign: null, hidden: false, font: null
+        });
+        break;
+      case 'b': state.bold = enabled; break;
+      case 'i': state.italic = enabled; break;
+      case 'ul': state.underline = enabled; break;
+      case 'ulnone': state.underline = false; break;
+      case 'strike': state.strike = enabled; break;
+      case 'super': state.valign = 'sup'; break;
+      case 'sub': state.valign = 'sub'; break;
+      case 'nosupersub': state.valign = null; break;
+      case 'v': state.hidden = enabled; break;
+      case 'intbl': state.inTable = true; break;
+      case 'ls':
+        state.listLevel = state.listLevel ?? 0;
+        break;
+      case 'ilvl':
+      case 'pnlvl':
+        state.listLevel = param ?? 0;
+        break;
+      case 'pnlvlblt':
+      case 'pnlvlbody':
+        state.listLevel = state.listLevel ?? 0;
+        break;
+      case 'trowd':
+        this.row = this.row || [];
+        break;
+      case 'cell':
+        this.endCell();
+        break;
+      case 'row':
+        this.endRow();
+        break;
+      default:
+        if (SYMBOLS[word]) {
+          this.addText(SYMBOLS[word]);
+        }
+    }
+  }
+
+  /**
+   * Restores the enclosing group's state
+   */
+  endGroup() {
+    const finished = this.state;
+    this.state = this.stack.pop() || createInitialState();
+
+    // Entries without \sN describe style 0; \* entries are character and table styles
+    if (finished.styleEntry && !this.state.styleEntry) {
+      if (!finished.skip) {
+        const name = this.styleText.replace(/;\s*$/, '').trim();
+        this.styles.set(finished.styleIndex ?? 0, name);
+      }
+      this.styleText = '';
+    }
+
+    if (finished.destination === 'fldinst' && this.state.destination !== 'fldinst') {
+      const hyperlink = /HYPERLINK\s+"([^"]+)"/i.exec(this.fieldInstruction);
+      this.link = hyperlink ? hyperlink[1] : null;
+    }
+
+    if (finished.destination === 'fldrslt' && this.state.destination !== 'fldrslt') {
+      this.link = null;
+    }
+  }
+
+  /**
+   * Decodes buffered \'hh bytes using the document code page
+   */
+  flushBytes() {
+    if (this.pendingBytes.length === 0) return;
+    const charset = this.fontCharsets.get(this.state.font ?? this.defaultFont);
+    const text = decodeBytes(this.pendingBytes, FONT_CHARSETS[charset] ?? this.codePage);
+    this.pendingBytes = [];
+    this.addText(text);
+  }
+
+  /**
+   * Routes text to the active destination
+   * @param {string} text - Decoded text
+   */
+  addText(text) {
+    const { destination } = this.state;
+
+    if (destination === 'fldinst') {
+      this.fieldInstruction += text;
+    } else if (destination === 'stylesheet') {
+      if (!this.state.skip) {
+        this.styleText += text;
+      }
+    } else if (destination === 'listtext') {
+      this.listText += text;
+    } else if (!this.state.skip && !this.state.hidden) {
+      this.addRun(text);
+    }
+  }
+
+  /**
+   * Appends text with the current character formatting
+   * @param {string} text - Text to append
+   */
+  addRun(text) {
+    const { bold, italic, underline, strike, valign } = this.state;
+    const format = { bold, italic, underline, strike, valign, link: this.link };
+    const last = this.runs[this.runs.length - 1];
+
+    if (last && Object.keys(format).every(key => last.format[key] === format[key])) {
+      last.text += text;
+    } else {
+      this.runs.push({ text, format });
+    }
+  }
+
+  /**
+   * Closes the current paragraph and files it as a block or table cell content
+   */
+  endParagraph() {
+    const runs = this.runs;
+    const { inTable, listLevel, style } = this.state;
+    const listText = this.listText.trim();
+    this.runs = [];
+    this.listText = '';
+
+    if (inTable) {
+      this.cell.push(runs);
+      return;
+    }
+
+    this.endTable();
+
+    if (runs.length === 0 || runs.every(run => !run.text.trim())) {
+      return;
+    }
+
+    // Outline-numbered headings carry list levels too, so the style wins
+    const headingMatch = /^heading\s*(\d)$/i.exec(this.styles.get(style) || '');
+    if (headingMatch) {
+      // Heading styles are usually bold already; the heading itself carries the emphasis
+      this.blocks.push({
+        type: 'heading',
+        level: Math.min(Number(headingMatch[1]), 6),
+        runs: runs.map(run => ({ ...run, format: { ...run.format, bold: false } }))
+      });
+    } else if (listLevel !== null || listText) {
+      this.blocks.push({
+        type: 'listItem',
+        level: listLevel ?? 0,
+        ordered: /^[\da-z]{1,4}[.)]/i.test(listText),
+        runs
+      });
+    } else {
+      this.blocks.push({ type: 'paragraph', runs });
+    }
+  }
+
+  /**
+   * Closes a table cell
+   */
+  endCell() {
+    if (this.runs.length > 0) {
+      this.cell.push(this.runs);
+      this.runs = [];
+    }
+    this.row = this.row || [];
+    this.row.push(this.cell);
+    this.cell = [];
+  }
+
+  /**
+   * Closes a table row
+   */
+  endRow() {
+    if (!this.row) return;
+    this.table = this.table || { type: 'table', rows: [] };
+    this.table.rows.push(this.row);
+    this.row = null;
+  }
+
+  /**
+   * Closes the current table, if any
+   */
+  endTable() {
+    if (this.table) {
+      this.blocks.push(this.table);
+      this.table = null;
+    }
+  }
+}
+
+/**
+ * Recovers the original HTML from RTF that encapsulates it (\fromhtml1), as
+ * Outlook stores HTML message bodies. Text in \*\htmltag groups and outside
+ * \htmlrtf regions is HTML source; everything else is the RTF rendering.
+ */
+class EncapsulatedHtmlExtractor extends RtfInterpreter {
+  constructor() {
+    super();
+    this.html = '';
+  }
+
+  /**
+   * Extracts the encapsulated HTML
+   * @param {string} rtf - The RTF source
+   * @returns {string} HTML document
+   */
+  extract(rtf) {
+    this.parse(rtf);
+    return this.html;
+  }
+
+  /**
+   * Applies a control word, keeping only what affects the HTML source
+   * @param {string} word - Control word without the backslash
+   * @param {number|null} param - Numeric parameter, if any
+   */
+  handleWord(word, param) {
+    const state = this.state;
+
+    if (state.ignorable) {
+      state.ignorable = false;
+      if (word === 'htmltag') {
+        state.destination = 'htmltag';
+      } else {
+        state.skip = true;
+      }
+      return;
+    }
+
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+
+    switch (word) {
+      case 'ansicpg':
+        super.handleWord(word, param);
+        break;
+      case 'uc':
+        state.unicodeSkip = param ?? 1;
+        break;
+      case 'htmlrtf':
+        state.htmlRtf = param !== 0;
+        break;
+      case 'par':
+      case 'line':
+        this.addText('\n');
+        break;
+      default:
+        if (SYMBOLS[word]) {
+          this.addText(SYMBOLS[word]);
+        }
+    }
+  }
+
+  /**
+   * Appends HTML source text
+   * @param {string} text - Decoded text
+   */
+  addText(text) {
+    if (this.state.skip) return;
+    if (this.state.destination === 'htmltag' || !this.state.htmlRtf) {
+      this.html += text;
+    }
+  }
+
+  /**
+   * Restores the enclosing group's state
+   */
+  endGroup() {
+    this.state = this.stack.pop() || createInitialState();
+  }
+}
+
+/**
+ * Renders formatted runs as inline HTML
+ * @param {Array<Object>} runs - Formatted text runs
+ * @returns {string} Inline HTML
+ */
+function renderRuns(runs) {
+  return runs.map(({ text, format }) => {
+    let html = escapeHtml(text).replace(/\t/g, ' ').replace(/\n/g, '<br>');
+    if (format.valign) html = `<${format.valign}>${html}</${format.valign}>`;
+    if (format.strike) html = `<s>${html}</s>`;
+    if (format.underline) html = `<u>${html}</u>`;
+    if (format.italic) html = `<em>${html}</em>`;
+    if (format.bold) html = `<strong>${html}</strong>`;
+    if (format.link) html = `<a href="${escapeHtml(format.link)}">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * Renders interpreted blocks as HTML, nesting consecutive list items
+ * @param {Array<Object>} blocks - Document blocks
+ * @returns {string} HTML document body
+ */
+function renderBlocks(blocks) {
+  const html = [];
+  const openLists = [];
+
+  const closeLists = (level) => {
+    while (openLists.length > level) {
+      html.push(`</li></${openLists.pop()}>`);
+    }
+  };
+
+  for (const block of blocks) {
+    if (block.type !== 'listItem') {
+      closeLists(0);
+    }
+
+    switch (block.type) {
+      case 'listItem': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        if (openLists.length > block.level + 1) {
+          closeLists(block.level + 1);
+        }
+        // A bullet list directly followed by a numbered one starts a new list
+        if (openLists.length === block.level + 1 && openLists[block.level] !== tag) {
+          closeLists(block.level);
+        }
+        if (openLists.length === block.level + 1) {
+          html.push('</li>');
+        }
+        while (openLists.length < block.level + 1) {
+          html.push(`<${tag}>`);
+          openLists.push(tag);
+        }
+        html.push(`<li>${renderRuns(block.runs)}`);
+        break;
+      }
+      case 'heading':
+        html.push(`<h${block.level}>${renderRuns(block.runs)}</h${block.level}>`);
+        break;
+      case 'table':
+        html.push('<table>', ...block.rows.map(row =>
+          `<tr>${row.map(cell => `<td>${cell.map(renderRuns).join('<br>')}</td>`).join('')}</tr>`
+        ), '</table>');
+        break;
+      default:
+        html.push(`<p>${renderRuns(block.runs)}</p>`);
+    }
+  }
+
+  closeLists(0);
+  return html.join('\n');
+}
+
+/**
+ * Converts an RTF document to HTML
+ * @param {string} rtf - The RTF source
+ * @returns {string} HTML body
+ */
+export function rtfToHtml(rtf) {
+  return renderBlocks(new RtfInterpreter().parse(rtf));
+}
+
+/**
+ * Extracts the HTML encapsulated in an RTF document, if it carries any
+ * @param {string} rtf - The RTF source
+ * @returns {string|null} HTML document, or null for plain RTF
+ */
+export function extractHtmlFromRtf(rtf) {
+  if (!/\\fromhtml1/.test(rtf.slice(0, 1024))) {
+    return null;
+  }
+  return new EncapsulatedHtmlExtractor().extract(rtf);
+}
+
+/**
+ * Converts an RTF buffer or string to Markdown format.
+ * @param {Buffer|string} input - The RTF content as a buffer or string.
+ * @param {string} originalName - Original filename for context.
+ * @param {string} [apiKey] - API key if needed.
+ * @param {Object} [options] - Conversion options from the request.
+ * @returns {Promise<{ content: string, images: Array }>} - Converted content and images.
+ */
+export async function convertRtfToMarkdown(input, originalName, apiKey, options = {}) {
+  try {
+    // RTF is 7-bit; 8-bit characters are escaped, so latin1 preserves every byte
+    const rtfContent = Buffer.isBuffer(input) ? input.toString('latin1') : input;
+
+    if (!rtfContent.trimStart().startsWith('{\\rtf')) {
+      throw new Error('Invalid RTF format: Missing {\\rtf header');
+    }
+
+    const markdownBody = htmlToMarkdown(rtfToHtml(rtfContent));
+    const baseName = path.basename(originalName, path.extname(originalName));
+
+    const markdown = [
+      '---',
+      `title: ${baseName}`,
+      'created: ' + new Date().toISOString(),
+      `originalName: ${originalName}`,
+      'format: rtf',
+      '---',
+      '',
+      markdownBody
+    ].join('\n');
+
+    return {
+      success: true,
+      content: markdown,
+      images: []
+    };
+  } catch (error) {
+    console.error('Error converting RTF to Markdown:', error);
+    throw new Error(`RTF conversion failed: ${error.message}`);
+  }
+}
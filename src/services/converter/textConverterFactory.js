@@ -3,13 +3,28 @@
 import { convertPdfToMarkdown } from './text/pdfConverter.js';
 import { convertDocxToMarkdown } from './text/docxConverter.js';
 import { convertPptxToMarkdown } from './text/pptxConverter.js';
+import { convertDocToMarkdown } from './text/docConverter.js';
+import { convertPptToMarkdown } from './text/pptConverter.js';
+import { convertEpubToMarkdown } from './text/epubConverter.js';
+import { convertRtfToMarkdown } from './text/rtfConverter.js';
+import { convertOdtToMarkdown } from './text/odtConverter.js';
+import { convertOdpToMarkdown } from './text/odpConverter.js';
+import { convertEmlToMarkdown, convertMboxToMarkdown } from './text/emailConverter.js';
+import { convertMsgToMarkdown } from './text/msgConverter.js';
 import { convertCsvToMarkdown } from './data/csvConverter.js';
 import { convertXlsxToMarkdown } from './data/xlsxConverter.js';
+import { convertOdsToMarkdown } from './data/odsConverter.js';
+import { convertXlsToMarkdown } from './data/xlsConverter.js';
+import { convertJsonToMarkdown, convertNdjsonToMarkdown } from './data/jsonConverter.js';
+import { convertYamlToMarkdown } from './data/yamlConverter.js';
+import { convertIpynbToMarkdown } from './data/ipynbConverter.js';
 import { convertUrlToMarkdown } from './web/urlConverter.js';
 import { convertParentUrlToMarkdown } from './web/parentUrlConverter.js';
 // YouTube functionality temporarily removed
 import { convertAudioToMarkdown } from './multimedia/audioconverter.js';
 import { convertVideoToMarkdown } from './multimedia/videoConverter.js';
+import { convertSrtToMarkdown, convertVttToMarkdown } from './multimedia/captionConverter.js';
+import { convertImageToMarkdown } from './multimedia/imageConverter.js';
 
 // File signatures for supported formats
 const FILE_SIGNATURES = {
@@ -25,12 +40,51 @@ const FILE_SIGNATURES = {
     bytes: [0xD0, 0xCF, 0x11, 0xE0],  // DOC
     description: 'DOC signature'
   },
+  xls: {
+    bytes: [0xD0, 0xCF, 0x11, 0xE0],  // OLE2 compound file
+    description: 'XLS signature'
+  },
+  ppt: {
+    bytes: [0xD0, 0xCF, 0x11, 0xE0],  // OLE2 compound file
+    description: 'PPT signature'
+  },
+  msg: {
+    bytes: [0xD0, 0xCF, 0x11, 0xE0],  // OLE2 compound file
+    description: 'MSG signature'
+  },
+  png: {
+    bytes: [0x89, 0x50, 0x4E, 0x47],  // \x89PNG
+    description: 'PNG signature'
+  },
   pptx: {
     bytes: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04 (ZIP format)
     description: 'PPTX/ZIP signature'
+  },
+  epub: {
+    bytes: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04 (ZIP format)
+    description: 'EPUB/ZIP signature'
+  },
+  rtf: {
+    bytes: [0x7B, 0x5C, 0x72, 0x74], // {\rt
+    description: 'RTF signature'
+  },
+  odt: {
+    bytes: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04 (ZIP format)
+    description: 'ODT/ZIP signature'
+  },
+  ods: {
+    bytes: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04 (ZIP format)
+    description: 'ODS/ZIP signature'
+  },
+  odp: {
+    bytes: [0x50, 0x4B, 0x03, 0x04], // PK\x03\x04 (ZIP format)
+    description: 'ODP/ZIP signature'
   }
 };
 
+// Formats packaged as ZIP archives besides DOCX and PPTX
+const ZIP_CONTAINER_TYPES = ['epub', 'odt', 'ods', 'odp'];
+
 /**
  * Factory class for managing different types of Markdown converters
  */
@@ -44,10 +98,35 @@ class TextConverterFactory {
       pdf: convertPdfToMarkdown,
       docx: convertDocxToMarkdown,
       pptx: convertPptxToMarkdown,
+      doc: convertDocToMarkdown,
+      ppt: convertPptToMarkdown,
+      epub: convertEpubToMarkdown,
+      rtf: convertRtfToMarkdown,
+      odt: convertOdtToMarkdown,
+      odp: convertOdpToMarkdown,
+      eml: convertEmlToMarkdown,
+      mbox: convertMboxToMarkdown,
+      msg: convertMsgToMarkdown,
+      srt: convertSrtToMarkdown,
+      vtt: convertVttToMarkdown,
+
+      // Image converters (OCR)
+      png: convertImageToMarkdown,
+      jpg: convertImageToMarkdown,
+      jpeg: convertImageToMarkdown,
+      tif: convertImageToMarkdown,
+      tiff: convertImageToMarkdown,
+      webp: convertImageToMarkdown,
 
       // Data converters
       csv: convertCsvToMarkdown,
       xlsx: convertXlsxToMarkdown,
+      ods: convertOdsToMarkdown,
+      xls: convertXlsToMarkdown,
+      json: convertJsonToMarkdown,
+      ndjson: convertNdjsonToMarkdown,
+      yaml: convertYamlToMarkdown,
+      ipynb: convertIpynbToMarkdown,
 
       // Web converters
       url: convertUrlToMarkdown,
@@ -63,6 +142,29 @@ class TextConverterFactory {
       docx: ['buffer'],
       pdf: ['buffer'],
       pptx: ['buffer'],
+      doc: ['buffer'],
+      xls: ['buffer'],
+      ppt: ['buffer'],
+      json: ['buffer', 'string'],
+      ndjson: ['buffer', 'string'],
+      yaml: ['buffer', 'string'],
+      ipynb: ['buffer', 'string'],
+      epub: ['buffer'],
+      rtf: ['buffer'],
+      odt: ['buffer'],
+      ods: ['buffer'],
+      odp: ['buffer'],
+      eml: ['buffer', 'string'],
+      mbox: ['buffer', 'string'],
+      msg: ['buffer'],
+      srt: ['buffer', 'string'],
+      vtt: ['buffer', 'string'],
+      png: ['buffer'],
+      jpg: ['buffer'],
+      jpeg: ['buffer'],
+      tif: ['buffer'],
+      tiff: ['buffer'],
+      webp: ['buffer'],
       url: ['string'],
       parenturl: ['string', 'object'],
       audio: ['buffer'],
@@ -102,6 +204,14 @@ class TextConverterFactory {
       throw new Error('Invalid PPTX file format');
     }
 
+    // EPUB books and OpenDocument files are ZIP containers as well
+    if (ZIP_CONTAINER_TYPES.includes(normalizedType) && Buffer.isBuffer(input)) {
+      if (input[0] === 0x50 && input[1] === 0x4B) {
+        return true;
+      }
+      throw new Error(`Invalid ${normalizedType.toUpperCase()} file format`);
+    }
+
     console.log('Validating input:', {
       originalType: type,
       normalizedType,
@@ -216,7 +326,7 @@ class TextConverterFactory {
     });
 
     // Validate input based on type
-    if (['docx', 'pdf', 'pptx'].includes(type)) {
+    if (['docx', 'pdf', 'pptx', 'epub', 'rtf', 'odt', 'ods', 'odp', 'doc', 'xls', 'ppt', 'msg', 'png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'].includes(type)) {
       if (!Buffer.isBuffer(content)) {
         console.error('❌ Invalid content type:', {
           expected: 'Buffer',
@@ -257,7 +367,7 @@ class TextConverterFactory {
     const fileType = type.toLowerCase();
 
     // Validate buffer for binary files
-    if (['docx', 'pdf', 'pptx'].includes(fileType)) {
+    if (['docx', 'pdf', 'pptx', 'epub', 'rtf', 'odt', 'ods', 'odp', 'doc', 'xls', 'ppt', 'msg', 'png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'].includes(fileType)) {
       if (!Buffer.isBuffer(content)) {
         throw new Error(`Invalid content for ${fileType}: Expected Buffer`);
       }
@@ -273,19 +383,80 @@ class TextConverterFactory {
       switch (fileType) {
         case 'docx':
           console.log('📄 Converting DOCX document');
-          return await convertDocxToMarkdown(content, options.name);
+          return await convertDocxToMarkdown(content, options.name, options.apiKey, options);
         case 'pdf':
           console.log('📄 Converting PDF document');
-          return await convertPdfToMarkdown(content, options.name);
+          return await convertPdfToMarkdown(content, options.name, options.apiKey, options);
         case 'pptx':
           console.log('📄 Converting PPTX presentation');
-          return await convertPptxToMarkdown(content, options.name);
+          return await convertPptxToMarkdown(content, options.name, options.apiKey, options);
+        case 'doc':
+          console.log('📄 Converting legacy DOC document');
+          return await convertDocToMarkdown(content, options.name, options.apiKey, options);
+        case 'ppt':
+          console.log('📄 Converting legacy PPT presentation');
+          return await convertPptToMarkdown(content, options.name, options.apiKey, options);
+        case 'epub':
+          console.log('📚 Converting EPUB book');
+          return await convertEpubToMarkdown(content, options.name, options.apiKey, options);
+        case 'rtf':
+          console.log('📄 Converting RTF document');
+          return await convertRtfToMarkdown(content, options.name, options.apiKey, options);
+        case 'odt':
+          console.log('📄 Converting ODT document');
+          return await convertOdtToMarkdown(content, options.name, options.apiKey, options);
+        case 'odp':
+          console.log('📄 Converting ODP presentation');
+          return await convertOdpToMarkdown(content, options.name, options.apiKey, options);
+        case 'eml':
+          console.log('✉️ Converting email message');
+          return await convertEmlToMarkdown(content, options.name, options.apiKey, options);
+        case 'mbox':
+          console.log('📬 Converting mailbox');
+          return await convertMboxToMarkdown(content, options.name, options.apiKey, options);
+        case 'msg':
+          console.log('✉️ Converting Outlook message');
+          return await convertMsgToMarkdown(content, options.name, options.apiKey, options);
+        case 'srt':
+          console.log('💬 Converting SRT subtitles');
+          return await convertSrtToMarkdown(content, options.name, options.apiKey, options);
+        case 'vtt':
+          console.log('💬 Converting WebVTT captions');
+          return await convertVttToMarkdown(content, options.name, options.apiKey, options);
+        case 'png':
+        case 'jpg':
+        case 'jpeg':
+        case 'tif':
+        case 'tiff':
+        case 'webp':
+          console.log('🖼️ Converting image with OCR');
+          return await convertImageToMarkdown(content, options.name, options.apiKey, options);
         case 'csv':
           console.log('📊 Converting CSV data');
-          return await convertCsvToMarkdown(content, options.name);
+          return await convertCsvToMarkdown(content, options.name, options.apiKey, options);
         case 'xlsx':
           console.log('📊 Converting XLSX spreadsheet');
-          return await convertXlsxToMarkdown(content, options.name);
+          return await convertXlsxToMarkdown(content, options.name, options.apiKey, options);
+        case 'ods':
+          console.log('📊 Converting ODS spreadsheet');
+          return await convertOdsToMarkdown(content, options.name, options.apiKey, options);
+        case 'xls':
+          console.log('📊 Converting legacy XLS spreadsheet');
+          return await convertXlsToMarkdown(content, options.name, options.apiKey, options);
+        case 'json':
+          console.log('📊 Converting JSON data');
+          return await convertJsonToMarkdown(content, options.name, options.apiKey, options);
+        case 'ndjson':
+        case 'jsonl':
+          console.log('📊 Converting JSON Lines data');
+          return await convertNdjsonToMarkdown(content, options.name, options.apiKey, options);
+        case 'yaml':
+        case 'yml':
+          console.log('📊 Converting YAML data');
+          return await convertYamlToMarkdown(content, options.name, options.apiKey, options);
+        case 'ipynb':
+          console.log('📓 Converting Jupyter notebook');
+          return await convertIpynbToMarkdown(content, options.name, options.apiKey, options);
         case 'url':
           console.log('🌐 Converting URL content');
           return await convertUrlToMarkdown(content, options);
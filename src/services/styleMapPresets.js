@@ -0,0 +1,118 @@
+// services/styleMapPresets.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/default.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const PRESET_NAME_PATTERN = /^[\w -]{1,64}$/;
+
+/**
+ * Named DOCX style-map presets, persisted as JSON so they survive restarts.
+ * Key: preset name
+ * Value: { styleMap: string[], updatedAt: string }
+ */
+let presets = null;
+
+async function loadPresets() {
+  if (presets) return presets;
+
+  try {
+    const data = JSON.parse(await fs.readFile(config.storage.styleMapPresetsFile, 'utf8'));
+    presets = new Map(Object.entries(data));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to read style map presets:', error.message);
+      throw error;
+    }
+    presets = new Map();
+  }
+  return presets;
+}
+
+async function savePresets() {
+  const file = config.storage.styleMapPresetsFile;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(Object.fromEntries(presets), null, 2));
+}
+
+/**
+ * Normalizes a style map given as an array of rules or as newline-separated
+ * text in mammoth's style-map syntax. Blank lines and # comments are dropped.
+ * @param {string|Array<string>} styleMap - Style mapping rules
+ * @returns {Array<string>} One rule per entry
+ */
+export function normalizeStyleMap(styleMap) {
+  const lines = Array.isArray(styleMap) ? styleMap : String(styleMap ?? '').split(/\r?\n/);
+  const rules = lines
+    .map(line => String(line).trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  const invalid = rules.find(rule => !rule.includes('=>'));
+  if (invalid) {
+    throw new AppError(`Invalid style map rule: "${invalid}"`, 400);
+  }
+  return rules;
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !PRESET_NAME_PATTERN.test(name)) {
+    throw new AppError('Preset names may contain letters, numbers, spaces, dashes and underscores (max 64)', 400);
+  }
+}
+
+/**
+ * Lists all saved presets
+ * @returns {Promise<Array<Object>>} [{ name, styleMap, updatedAt }]
+ */
+export async function listStyleMapPresets() {
+  const store = await loadPresets();
+  return [...store].map(([name, preset]) => ({ name, ...preset }));
+}
+
+/**
+ * Retrieves a preset's rules by name
+ * @param {string} name - Preset name
+ * @returns {Promise<Object|null>} { name, styleMap, updatedAt } or null if not found
+ */
+export async function getStyleMapPreset(name) {
+  const store = await loadPresets();
+  const preset = store.get(name);
+  return preset ? { name, ...preset } : null;
+}
+
+/**
+ * Creates or replaces a named preset
+ * @param {string} name - Preset name
+ * @param {string|Array<string>} styleMap - Style mapping rules
+ * @returns {Promise<Object>} The saved preset
+ */
+export async function saveStyleMapPreset(name, styleMap) {
+  validateName(name);
+  const rules = normalizeStyleMap(styleMap);
+  if (rules.length === 0) {
+    throw new AppError('Style map must contain at least one rule', 400);
+  }
+
+  const store = await loadPresets();
+  const preset = { styleMap: rules, updatedAt: new Date().toISOString() };
+  store.set(name, preset);
+  await savePresets();
+
+  console.log(`💾 Saved style map preset: ${name} (${rules.length} rules)`);
+  return { name, ...preset };
+}
+
+/**
+ * Deletes a named preset
+ * @param {string} name - Preset name
+ * @returns {Promise<boolean>} Whether a preset was deleted
+ */
+export async function deleteStyleMapPreset(name) {
+  const store = await loadPresets();
+  if (!store.delete(name)) return false;
+
+  await savePresets();
+  console.log(`🗑️ Deleted style map preset: ${name}`);
+  return true;
+}
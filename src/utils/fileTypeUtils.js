@@ -8,10 +8,11 @@ const API_REQUIRED_TYPES = [
 ];
 
 const FILE_CATEGORIES = {
-  documents: ['pdf', 'docx', 'pptx'],
+  documents: ['pdf', 'docx', 'pptx', 'epub', 'rtf', 'odt', 'odp', 'doc', 'ppt', 'eml', 'mbox', 'msg', 'srt', 'vtt'],
   audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'],
   video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-  data: ['csv', 'xlsx'],
+  images: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'],
+  data: ['csv', 'xlsx', 'ods', 'xls', 'json', 'ndjson', 'jsonl', 'yaml', 'yml', 'ipynb'],
 };
 
 export function requiresApiKey(fileType) {
@@ -25,7 +26,7 @@ export function determineCategory(type, fileType) {
   const normalizedFileType = fileType?.toLowerCase();
 
   // Handle presentation files
-  if (normalizedFileType === 'pptx' || normalizedFileType === 'ppt') {
+  if (['pptx', 'ppt', 'odp'].includes(normalizedFileType)) {
     return 'text';
   }
   
@@ -40,12 +41,17 @@ export function determineCategory(type, fileType) {
   }
   
   // Document types - add pptx explicitly
-  if (['pdf', 'docx', 'pptx', 'ppt'].includes(fileType)) {
+  if (['pdf', 'docx', 'doc', 'pptx', 'ppt', 'epub', 'rtf', 'odt', 'odp', 'eml', 'mbox', 'msg', 'srt', 'vtt'].includes(fileType)) {
     return 'text';
   }
   
+  // Images are run through OCR
+  if (['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'].includes(fileType)) {
+    return 'images';
+  }
+  
   // Data files
-  if (['csv', 'xlsx', 'xls'].includes(fileType)) {
+  if (['csv', 'xlsx', 'xls', 'ods', 'json', 'ndjson', 'jsonl', 'yaml', 'yml', 'ipynb'].includes(fileType)) {
     return 'data';
   }
   
@@ -0,0 +1,90 @@
+// utils/htmlToMarkdown.js
+
+import TurndownService from 'turndown';
+
+/**
+ * Escapes characters that would break a GFM table cell
+ * @param {string} content - Converted cell content
+ * @returns {string} Single-line cell content
+ */
+function formatTableCell(content) {
+  return content
+    .trim()
+    .replace(/\|/g, '\\|')
+    .replace(/ *\n+ */g, '<br>');
+}
+
+/**
+ * Adds GitHub-flavoured table rules to a Turndown instance
+ * @param {TurndownService} turndownService - The instance to extend
+ */
+function addTableRules(turndownService) {
+  turndownService.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: (content) => ` ${formatTableCell(content)} |`
+  });
+
+  turndownService.addRule('tableRow', {
+    filter: 'tr',
+    replacement: (content, node) => {
+      const row = `\n|${content}`;
+      const table = node.closest('table');
+      const isFirstRow = table && table.querySelector('tr') === node;
+      if (!isFirstRow) {
+        return row;
+      }
+
+      // GFM requires a header row, so the first row always gets the separator
+      const cellCount = node.querySelectorAll('th, td').length;
+      return `${row}\n|${' --- |'.repeat(cellCount)}`;
+    }
+  });
+
+  turndownService.addRule('tableSection', {
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: (content) => content
+  });
+
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement: (content) => `\n\n${content.replace(/\n+/g, '\n').trim()}\n\n`
+  });
+}
+
+/**
+ * Creates a Turndown instance with the same options as the URL converter,
+ * plus table and strikethrough support for document formats that carry them
+ * @returns {TurndownService} Configured Turndown instance
+ */
+export function createTurndownService() {
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+    hr: '---',
+    strongDelimiter: '**',
+    emDelimiter: '*'
+  });
+
+  addTableRules(turndownService);
+
+  turndownService.addRule('strikethrough', {
+    filter: ['del', 's', 'strike'],
+    replacement: (content) => `~~${content}~~`
+  });
+  turndownService.keep(['sup', 'sub']);
+
+  return turndownService;
+}
+
+/**
+ * Converts an HTML fragment to Markdown
+ * @param {string} html - The HTML to convert
+ * @param {TurndownService} [turndownService] - Optional preconfigured instance
+ * @returns {string} The converted Markdown
+ */
+export function htmlToMarkdown(html, turndownService = createTurndownService()) {
+  return turndownService.turndown(html || '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,106 @@
+// utils/libreOffice.js
+
+import path from 'path';
+import * as fs from 'fs/promises';
+import { promisify } from 'util';
+import { execFile } from 'child_process';
+import { pathToFileURL } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+const execFileAsync = promisify(execFile);
+
+// Large legacy presentations can take a while to re-save
+const CONVERSION_TIMEOUT = 120000;
+
+/**
+ * Checks if a file exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if file exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets the LibreOffice binary based on the operating system
+ * @returns {Promise<string>} Path or command name of the soffice binary
+ */
+async function getLibreOfficePath() {
+  if (process.env.LIBREOFFICE_PATH) {
+    return process.env.LIBREOFFICE_PATH;
+  }
+
+  const possiblePaths = {
+    win32: [
+      'C:\\Program Files\\LibreOffice\\program\\soffice.exe',
+      'C:\\Program Files (x86)\\LibreOffice\\program\\soffice.exe'
+    ],
+    darwin: ['/Applications/LibreOffice.app/Contents/MacOS/soffice']
+  }[process.platform] || [];
+
+  for (const binPath of possiblePaths) {
+    if (await fileExists(binPath)) {
+      console.log('Found LibreOffice at:', binPath);
+      return binPath;
+    }
+  }
+
+  return 'soffice'; // Unix systems typically have it in PATH
+}
+
+/**
+ * Converts a document to another format with headless LibreOffice,
+ * e.g. a legacy .doc to .docx
+ * @param {Buffer} buffer - The source document
+ * @param {string} sourceExtension - Extension of the source format, e.g. 'doc'
+ * @param {string} targetExtension - Extension of the target format, e.g. 'docx'
+ * @returns {Promise<Buffer>} The converted document
+ */
+export async function convertWithLibreOffice(buffer, sourceExtension, targetExtension) {
+  const tempDir = path.join(process.cwd(), 'temp', uuidv4());
+  const inputPath = path.join(tempDir, `input.${sourceExtension}`);
+  const outputPath = path.join(tempDir, `input.${targetExtension}`);
+
+  try {
+    await fs.mkdir(tempDir, { recursive: true });
+    await fs.writeFile(inputPath, buffer);
+
+    const binary = await getLibreOfficePath();
+    const args = [
+      '--headless',
+      '--norestore',
+      // A private profile lets several conversions run at the same time
+      `-env:UserInstallation=${pathToFileURL(path.join(tempDir, 'profile')).href}`,
+      '--convert-to', targetExtension,
+      '--outdir', tempDir,
+      inputPath
+    ];
+
+    console.log('🔄 Converting with LibreOffice:', { sourceExtension, targetExtension, size: buffer.length });
+    const { stderr } = await execFileAsync(binary, args, { timeout: CONVERSION_TIMEOUT });
+    if (stderr) {
+      console.warn('LibreOffice stderr:', stderr);
+    }
+
+    if (!await fileExists(outputPath)) {
+      throw new Error(`LibreOffice produced no ${targetExtension.toUpperCase()} output`);
+    }
+
+    return await fs.readFile(outputPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('LibreOffice not found. Please install LibreOffice and set LIBREOFFICE_PATH environment variable.');
+    }
+    console.error('LibreOffice conversion failed:', error);
+    throw error;
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true }).catch(error => {
+      console.warn('Failed to clean up LibreOffice temp directory:', error);
+    });
+  }
+}
@@ -78,18 +78,27 @@ function formatContentItem(item) {
 /**
  * Generates a table of contents from the content
  * @param {string|Array} content - The content to generate TOC from
+ * @param {Object} [options] - TOC options
+ * @param {boolean} [options.wikiLinks=false] - List headings down to level 6 as Obsidian
+ *   [[#heading|label]] links instead of level 2-3 Markdown anchor links
  * @returns {string} The table of contents in Markdown format
  */
-function generateTableOfContents(content) {
-  // This is a simplified TOC generation. You might want to enhance this
-  // to handle nested headers and more complex structures.
+export function generateTableOfContents(content, { wikiLinks = false } = {}) {
+  const text = Array.isArray(content) ? formatContent(content) : String(content || '');
   let toc = '## Table of Contents\n\n';
-  const headers = content.match(/^#{2,3} .+$/gm) || [];
+  const headers = text.match(wikiLinks ? /^#{2,6} .+$/gm : /^#{2,3} .+$/gm) || [];
   headers.forEach(header => {
-    const level = header.match(/^#{2,3}/)[0].length - 2;
-    const title = header.replace(/^#{2,3} /, '');
-    const link = title.toLowerCase().replace(/[^\w]+/g, '-');
-    toc += `${'  '.repeat(level)}* [${title}](#${link})\n`;
+    const level = header.match(/^#+/)[0].length - 2;
+    const title = header.replace(/^#+ /, '');
+    if (wikiLinks) {
+      // Obsidian heading links cannot contain these characters
+      const link = title.replace(/[#|^:%[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+      const label = title.replace(/[|[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+      toc += `${'  '.repeat(level)}* [[#${link}|${label}]]\n`;
+    } else {
+      const link = title.toLowerCase().replace(/[^\w]+/g, '-');
+      toc += `${'  '.repeat(level)}* [${title}](#${link})\n`;
+    }
   });
   return toc + '\n';
 }
@@ -0,0 +1,204 @@
+// utils/ocr.js
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { createWorker, OEM } from 'tesseract.js';
+import { config } from '../config/default.js';
+import { AppError } from './errorHandler.js';
+
+const require = createRequire(import.meta.url);
+
+// One worker per language set, least recently used first; Tesseract workers queue their jobs
+const workers = new Map();
+
+let langPathLanguages;
+
+/**
+ * Lists the languages with traineddata files in the configured language directory
+ * @returns {Set<string>} Language codes; empty when langPath is unset or a URL
+ */
+function listLangPathLanguages() {
+  if (!langPathLanguages) {
+    langPathLanguages = new Set();
+    if (config.ocr.langPath && !/^https?:/i.test(config.ocr.langPath)) {
+      try {
+        for (const file of fs.readdirSync(config.ocr.langPath)) {
+          const match = file.match(/^([a-z_]+)\.traineddata(\.gz)?$/i);
+          if (match) langPathLanguages.add(match[1]);
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not list OCR language data:', error.message);
+      }
+    }
+  }
+  return langPathLanguages;
+}
+
+/**
+ * Checks whether language data for a single language is available without
+ * downloading arbitrary files: it is part of the configured default, lies in
+ * the configured directory, or comes from an installed @tesseract.js-data package
+ * @param {string} language - Tesseract language code
+ * @returns {boolean}
+ */
+function isAvailableLanguage(language) {
+  if (config.ocr.language.split('+').includes(language) || listLangPathLanguages().has(language)) {
+    return true;
+  }
+  if (config.ocr.langPath) {
+    return false;
+  }
+  try {
+    require.resolve(`@tesseract.js-data/${language}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates a requested language set and puts it in a canonical form, so
+ * "deu+eng" and "eng+deu" share one worker
+ * @param {string} [language] - Tesseract language codes joined with "+"; defaults to the configured language
+ * @returns {string} Sorted, de-duplicated language codes joined with "+"
+ * @throws {AppError} 400 when the set is malformed or names a language that is not available
+ */
+export function normalizeOcrLanguage(language) {
+  const languages = language || config.ocr.language;
+  if (typeof languages !== 'string' || !/^[a-z_]+(\+[a-z_]+)*$/i.test(languages)) {
+    throw new AppError(`Invalid OCR language: ${languages}`, 400);
+  }
+
+  const codes = [...new Set(languages.split('+'))].sort();
+  const unavailable = codes.filter(code => !isAvailableLanguage(code));
+  if (unavailable.length > 0) {
+    throw new AppError(`Unsupported OCR language: ${unavailable.join(', ')}`, 400);
+  }
+
+  return codes.join('+');
+}
+
+/**
+ * Finds the language data for a language set: the configured path, else the
+ * bundled @tesseract.js-data package, else the tesseract.js CDN default
+ * @param {string} languages - Tesseract language codes joined with "+"
+ * @returns {string|undefined} Directory or URL holding the traineddata files
+ */
+function resolveLangPath(languages) {
+  if (config.ocr.langPath) {
+    return config.ocr.langPath;
+  }
+
+  // Each data package holds one language, so only single languages can be served locally
+  if (!languages.includes('+')) {
+    try {
+      const { langPath } = require(`@tesseract.js-data/${languages}`);
+      return langPath.replace(/4\.0\.0$/, '4.0.0_best_int');
+    } catch {
+      // Not installed; fall through to the download
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Stops the least recently used idle workers until the pool is within its limit.
+ * Workers with jobs in flight are kept, so the pool can briefly exceed the limit.
+ */
+function trimWorkers() {
+  for (const [languages, entry] of workers) {
+    if (workers.size <= config.ocr.maxWorkers) break;
+    if (entry.jobs > 0) continue;
+
+    console.log('🔤 Stopping OCR worker:', { languages });
+    workers.delete(languages);
+    entry.worker
+      .then(worker => worker.terminate())
+      .catch(error => console.error('OCR worker shutdown error:', error));
+  }
+}
+
+/**
+ * Returns the shared worker entry for a language set, creating it on first use
+ * @param {string} languages - Normalised Tesseract language codes joined with "+"
+ * @returns {Object} { worker: Promise<Object>, jobs }
+ */
+function getWorker(languages) {
+  let entry = workers.get(languages);
+  if (entry) {
+    // Re-insert so the map stays ordered from least to most recently used
+    workers.delete(languages);
+    workers.set(languages, entry);
+    return entry;
+  }
+
+  console.log('🔤 Starting OCR worker:', { languages });
+  const worker = new Promise((resolve, reject) => {
+    let started = false;
+    createWorker(languages, OEM.LSTM_ONLY, {
+      langPath: resolveLangPath(languages),
+      cachePath: config.ocr.cachePath,
+      // Without a handler tesseract.js rethrows worker errors as uncaught
+      // exceptions, and a failed language download never settles createWorker
+      errorHandler: (error) => {
+        if (!started) {
+          reject(new Error(`Could not load OCR language data for ${languages}: ${error}`));
+        } else {
+          console.error('OCR worker error:', error);
+        }
+      }
+    }).then(created => {
+      started = true;
+      resolve(created);
+    }, reject);
+  });
+  entry = { worker, jobs: 0 };
+  // Let a failed start be retried on the next request
+  worker.catch(() => {
+    if (workers.get(languages) === entry) {
+      workers.delete(languages);
+    }
+  });
+  workers.set(languages, entry);
+  return entry;
+}
+
+/**
+ * Recognises the text in an image
+ * @param {Buffer} image - PNG, JPEG, TIFF, WebP or BMP image
+ * @param {Object} [options]
+ * @param {string} [options.language] - Tesseract language codes, e.g. "eng+deu"
+ * @returns {Promise<Object>} { text, confidence, paragraphs, language }
+ */
+export async function recognizeText(image, { language } = {}) {
+  const languages = normalizeOcrLanguage(language);
+  const entry = getWorker(languages);
+  entry.jobs++;
+
+  try {
+    const worker = await entry.worker;
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+
+    const paragraphs = (data.blocks || [])
+      .flatMap(block => block.paragraphs || [])
+      .map(paragraph => ({
+        text: paragraph.text.replace(/[ \t]+$/gm, '').trim(),
+        confidence: paragraph.confidence
+      }))
+      .filter(paragraph => paragraph.text);
+
+    return {
+      text: paragraphs.map(paragraph => paragraph.text).join('\n\n'),
+      confidence: Math.round(data.confidence),
+      paragraphs,
+      language: languages
+    };
+  } catch (error) {
+    console.error('OCR failed:', error);
+    throw new Error(`OCR failed: ${error.message || error}`);
+  } finally {
+    entry.jobs--;
+    trimWorkers();
+  }
+}
@@ -0,0 +1,325 @@
+// utils/openDocument.js
+
+import JSZip from 'jszip';
+import * as cheerio from 'cheerio';
+
+export const OPEN_DOCUMENT_MIME_TYPES = {
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation'
+};
+
+export const OPEN_DOCUMENT_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  bmp: 'image/bmp'
+};
+
+// Elements that carry no readable document content
+const SKIPPED_ELEMENTS = new Set([
+  'office:annotation', 'office:annotation-end', 'office:forms', 'text:tracked-changes',
+  'text:sequence-decls', 'text:variable-decls', 'text:user-field-decls',
+  'text:soft-page-break', 'text:bookmark', 'text:bookmark-start', 'text:bookmark-end',
+  'text:reference-mark', 'text:alphabetical-index-mark', 'table:table-columns',
+  'table:table-column', 'table:table-header-columns', 'svg:title', 'svg:desc',
+  'presentation:notes'
+]);
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Collects text and list styles from a styles container
+ * @param {cheerio.CheerioAPI} $ - Loaded XML document
+ * @param {Map} textStyles - Text formatting keyed by style name
+ * @param {Map} listStyles - Ordered flags per level keyed by list style name
+ */
+function collectStyles($, textStyles, listStyles) {
+  $('style\\:style').each((_, element) => {
+    const $style = $(element);
+    const $properties = $style.children('style\\:text-properties');
+    const weight = $properties.attr('fo:font-weight');
+    const fontStyle = $properties.attr('fo:font-style');
+    const underline = $properties.attr('style:text-underline-style');
+    const lineThrough = $properties.attr('style:text-line-through-style');
+    const position = $properties.attr('style:text-position') || '';
+
+    textStyles.set($style.attr('style:name'), {
+      parent: $style.attr('style:parent-style-name'),
+      bold: weight ? weight === 'bold' || Number(weight) >= 600 : undefined,
+      italic: fontStyle ? fontStyle === 'italic' || fontStyle === 'oblique' : undefined,
+      underline: underline ? underline !== 'none' : undefined,
+      strike: lineThrough ? lineThrough !== 'none' : undefined,
+      valign: position.startsWith('super') ? 'sup' : position.startsWith('sub') ? 'sub' : undefined
+    });
+  });
+
+  $('text\\:list-style').each((_, element) => {
+    const levels = [];
+    $(element).children().each((__, levelElement) => {
+      const level = Number($(levelElement).attr('text:level') || 1);
+      levels[level] = levelElement.name === 'text:list-level-style-number';
+    });
+    listStyles.set($(element).attr('style:name'), levels);
+  });
+}
+
+/**
+ * Loads an OpenDocument package and its styles
+ * @param {Buffer} input - The document buffer
+ * @param {string} type - Expected type: odt, ods or odp
+ * @returns {Promise<Object>} Archive, parsed content.xml, metadata and styles
+ */
+export async function loadOpenDocument(input, type) {
+  const zip = await JSZip.loadAsync(input);
+
+  const mimeType = (await zip.file('mimetype')?.async('string'))?.trim();
+  if (mimeType && mimeType !== OPEN_DOCUMENT_MIME_TYPES[type]) {
+    throw new Error(`Invalid ${type.toUpperCase()} file: package declares ${mimeType}`);
+  }
+
+  const contentXml = await zip.file('content.xml')?.async('string');
+  if (!contentXml) {
+    throw new Error(`Invalid ${type.toUpperCase()} file: content.xml not found`);
+  }
+
+  const $ = cheerio.load(contentXml, { xmlMode: true });
+  const textStyles = new Map();
+  const listStyles = new Map();
+
+  const stylesXml = await zip.file('styles.xml')?.async('string');
+  if (stylesXml) {
+    collectStyles(cheerio.load(stylesXml, { xmlMode: true }), textStyles, listStyles);
+  }
+  collectStyles($, textStyles, listStyles);
+
+  const metaXml = await zip.file('meta.xml')?.async('string');
+  const $meta = metaXml ? cheerio.load(metaXml, { xmlMode: true }) : null;
+  const metadata = $meta ? {
+    title: $meta('dc\\:title').first().text().trim(),
+    author: ($meta('dc\\:creator').first().text() || $meta('meta\\:initial-creator').first().text()).trim(),
+    subject: $meta('dc\\:subject').first().text().trim(),
+    keywords: $meta('meta\\:keyword').map((_, element) => $meta(element).text().trim()).get()
+  } : {};
+
+  return { zip, $, metadata, textStyles, listStyles };
+}
+
+/**
+ * Resolves the effective formatting of a style through its parents
+ * @param {Map} textStyles - Text formatting keyed by style name
+ * @param {string} name - Style name
+ * @returns {Object} Resolved formatting flags
+ */
+function resolveTextStyle(textStyles, name) {
+  const resolved = {};
+  const seen = new Set();
+  let style = textStyles.get(name);
+
+  while (style && !seen.has(style)) {
+    seen.add(style);
+    for (const key of ['bold', 'italic', 'underline', 'strike', 'valign']) {
+      if (resolved[key] === undefined && style[key] !== undefined) {
+        resolved[key] = style[key];
+      }
+    }
+    style = textStyles.get(style.parent);
+  }
+
+  return resolved;
+}
+
+/**
+ * Wraps inline HTML in the tags matching a text style
+ * @param {string} html - Inline HTML
+ * @param {Object} format - Resolved formatting flags
+ * @returns {string} Wrapped HTML
+ */
+function applyFormatting(html, format) {
+  if (!html.trim()) return html;
+  if (format.valign) html = `<${format.valign}>${html}</${format.valign}>`;
+  if (format.strike) html = `<s>${html}</s>`;
+  if (format.underline) html = `<u>${html}</u>`;
+  if (format.italic) html = `<em>${html}</em>`;
+  if (format.bold) html = `<strong>${html}</strong>`;
+  return html;
+}
+
+/**
+ * Renders OpenDocument text content (text:p, text:h, text:list, table:table,
+ * draw:frame, ...) as HTML
+ */
+export class OpenDocumentRenderer {
+  /**
+   * @param {Object} document - Result of loadOpenDocument
+   * @param {Object} [options]
+   * @param {Function} [options.resolveImage] - Async (href, alt) => image src or null
+   */
+  constructor({ $, textStyles, listStyles }, { resolveImage } = {}) {
+    this.$ = $;
+    this.textStyles = textStyles;
+    this.listStyles = listStyles;
+    this.resolveImage = resolveImage || (async () => null);
+    this.notes = [];
+  }
+
+  /**
+   * Renders the children of an element
+   * @param {Object} element - Cheerio node
+   * @param {Object} [context] - List nesting state
+   * @returns {Promise<string>} HTML
+   */
+  async renderChildren(element, context = {}) {
+    const parts = [];
+    for (const child of element.children || []) {
+      parts.push(await this.renderNode(child, context));
+    }
+    return parts.join('');
+  }
+
+  /**
+   * Renders a single node
+   * @param {Object} node - Cheerio node
+   * @param {Object} context - List nesting state
+   * @returns {Promise<string>} HTML
+   */
+  async renderNode(node, context) {
+    if (node.type === 'text') {
+      return escapeHtml(node.data);
+    }
+    if (node.type !== 'tag' || SKIPPED_ELEMENTS.has(node.name)) {
+      return '';
+    }
+
+    const attribs = node.attribs || {};
+
+    switch (node.name) {
+      case 'text:h': {
+        const level = Math.min(Number(attribs['text:outline-level'] || 1), 6);
+        return `<h${level}>${await this.renderChildren(node, context)}</h${level}>`;
+      }
+      case 'text:p': {
+        const html = applyFormatting(
+          await this.renderChildren(node, context),
+          resolveTextStyle(this.textStyles, attribs['text:style-name'])
+        );
+        // Paragraphs inside list items and cells are separated by line breaks
+        return context.inline ? `${html}<br>` : `<p>${html}</p>`;
+      }
+      case 'text:span':
+        return applyFormatting(
+          await this.renderChildren(node, context),
+          resolveTextStyle(this.textStyles, attribs['text:style-name'])
+        );
+      case 'text:a':
+        return `<a href="${escapeHtml(attribs['xlink:href'] || '')}">${await this.renderChildren(node, context)}</a>`;
+      case 'text:s':
+        return ' '.repeat(Number(attribs['text:c'] || 1));
+      case 'text:tab':
+        return ' ';
+      case 'text:line-break':
+        return '<br>';
+      case 'text:note':
+        return this.renderNote(node, context);
+      case 'text:list':
+        return this.renderList(node, context);
+      case 'text:list-item':
+      case 'text:list-header': {
+        const html = await this.renderChildren(node, { ...context, inline: true });
+        return `<li>${html.replace(/(<br>)+(?=<[ou]l>|$)/g, '')}</li>`;
+      }
+      case 'table:table':
+        return `<table>${await this.renderChildren(node, context)}</table>`;
+      case 'table:table-row':
+        return `<tr>${await this.renderChildren(node, context)}</tr>`;
+      case 'table:table-cell':
+      case 'table:covered-table-cell': {
+        const html = (await this.renderChildren(node, { inline: true })).replace(/(<br>)+$/, '');
+        const repeat = Math.min(Number(attribs['table:number-columns-repeated'] || 1), 100);
+        return `<td>${html}</td>`.repeat(repeat);
+      }
+      case 'draw:frame':
+        return this.renderFrame(node, context);
+      default:
+        return this.renderChildren(node, context);
+    }
+  }
+
+  /**
+   * Renders a list, choosing ul/ol from the list style of the current level
+   * @param {Object} node - text:list node
+   * @param {Object} context - List nesting state
+   * @returns {Promise<string>} HTML
+   */
+  async renderList(node, context) {
+    const styleName = node.attribs['text:style-name'] || context.listStyle;
+    const level = (context.listLevel || 0) + 1;
+    const ordered = this.listStyles.get(styleName)?.[level] ?? false;
+    const tag = ordered ? 'ol' : 'ul';
+    const html = await this.renderChildren(node, { ...context, listStyle: styleName, listLevel: level });
+    return `<${tag}>${html}</${tag}>`;
+  }
+
+  /**
+   * Renders a footnote citation and keeps its body for the notes section
+   * @param {Object} node - text:note node
+   * @param {Object} context - List nesting state
+   * @returns {Promise<string>} HTML
+   */
+  async renderNote(node, context) {
+    const $note = this.$(node);
+    const citation = $note.children('text\\:note-citation').text().trim() || String(this.notes.length + 1);
+    const body = $note.children('text\\:note-body').get(0);
+    this.notes.push({
+      citation,
+      html: body ? (await this.renderChildren(body, { ...context, inline: true })).replace(/(<br>)+$/, '') : ''
+    });
+    return `<sup>${escapeHtml(citation)}</sup>`;
+  }
+
+  /**
+   * Renders a frame holding an image or a text box
+   * @param {Object} node - draw:frame node
+   * @param {Object} context - List nesting state
+   * @returns {Promise<string>} HTML
+   */
+  async renderFrame(node, context) {
+    const $frame = this.$(node);
+    const textBox = $frame.children('draw\\:text-box').get(0);
+    if (textBox) {
+      return this.renderChildren(textBox, context);
+    }
+
+    const href = $frame.children('draw\\:image').attr('xlink:href');
+    if (!href) return '';
+
+    const alt = $frame.children('svg\\:title').text().trim() ||
+      $frame.children('svg\\:desc').text().trim() ||
+      $frame.attr('draw:name') || '';
+    const src = await this.resolveImage(href, alt);
+    return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">` : '';
+  }
+
+  /**
+   * Renders collected footnotes
+   * @returns {string} HTML
+   */
+  renderNotes() {
+    if (this.notes.length === 0) return '';
+    return '<hr>' + this.notes.map(note => `<p><sup>${escapeHtml(note.citation)}</sup> ${note.html}</p>`).join('');
+  }
+}
@@ -0,0 +1,128 @@
+// utils/rowNotes.js
+
+import path from 'path';
+import sanitizeFilename from 'sanitize-filename';
+import YAML from 'yaml';
+
+/**
+ * Finds a column by header, ignoring case and surrounding whitespace
+ * @param {Array<string>} headers - Column headers
+ * @param {string} column - Requested column
+ * @returns {number} Column index
+ */
+function findColumn(headers, column) {
+  const index = headers.findIndex(header => header.trim().toLowerCase() === String(column).trim().toLowerCase());
+  if (index === -1) {
+    throw new Error(`Column not found: ${column}. Available columns: ${headers.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Makes every column header a distinct property name; repeated headers
+ * get a counter like row note names do
+ * @param {Array<string>} headers - Column headers
+ * @returns {Array<string>} Property names
+ */
+function uniqueKeys(headers) {
+  const used = new Set();
+  return headers.map((header, index) => {
+    const base = String(header ?? '').trim() || `Column ${index + 1}`;
+    let key = base;
+    for (let counter = 2; used.has(key.toLowerCase()); counter++) {
+      key = `${base} (${counter})`;
+    }
+    used.add(key.toLowerCase());
+    return key;
+  });
+}
+
+/**
+ * Writes note frontmatter. Cells are arbitrary text, so keys and values go
+ * through the YAML serializer; a Map keeps a "__proto__" header an ordinary key.
+ * @param {Map<string, any>} properties - Property names and values
+ * @returns {string} Frontmatter block
+ */
+function formatFrontmatter(properties) {
+  return `---\n${YAML.stringify(properties, { lineWidth: 0 })}---\n`;
+}
+
+/**
+ * References a property in a Dataview query; names that are not plain
+ * identifiers go through the row object
+ * @param {string} key - Property name
+ * @returns {string} Dataview field expression
+ */
+function dataviewField(key) {
+  return /^[A-Za-z_][\w-]*$/.test(key) ? key : `row["${key.replace(/"/g, '\\"')}"] AS "${key.replace(/"/g, '\'')}"`;
+}
+
+/**
+ * Turns table rows into one note each. Columns become frontmatter properties,
+ * the title column names the note and the body column, if any, becomes its text.
+ * The index note lists the rows with a Dataview query over its own folder.
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell texts per row
+ * @param {Object} context
+ * @param {string} context.originalName - Original filename
+ * @param {string} context.format - Source format recorded in the frontmatter
+ * @param {string} [context.titleColumn] - Column naming each note; defaults to the first column
+ * @param {string} [context.bodyColumn] - Column holding each note's text
+ * @returns {{ content: string, images: Array, files: Array }} Index note and row notes
+ */
+export function buildRowNotes(headers, rows, { originalName, format, titleColumn, bodyColumn }) {
+  const keys = uniqueKeys(headers);
+  const titleIndex = titleColumn ? findColumn(keys, titleColumn) : 0;
+  const bodyIndex = bodyColumn ? findColumn(keys, bodyColumn) : -1;
+  const baseName = path.basename(originalName, path.extname(originalName));
+
+  const usedNames = new Set(['index']);
+  const files = rows
+    .filter(row => row.some(cell => String(cell ?? '').trim()))
+    .map((row, rowIndex) => {
+      // Characters Obsidian reserves for links are dropped as well
+      const title = sanitizeFilename(String(row[titleIndex] ?? '').replace(/[#^[\]|]/g, ''))
+        .trim()
+        .slice(0, 120) || `${baseName} ${rowIndex + 1}`;
+      let noteName = title;
+      for (let counter = 2; usedNames.has(noteName.toLowerCase()); counter++) {
+        noteName = `${title} (${counter})`;
+      }
+      usedNames.add(noteName.toLowerCase());
+
+      // Empty cells are left out, as formatMetadata does elsewhere
+      const properties = new Map(keys
+        .map((key, index) => [key, String(row[index] ?? '').trim()])
+        .filter(([, value], index) => index !== bodyIndex && value !== ''));
+      const body = bodyIndex === -1 ? '' : String(row[bodyIndex] ?? '').trim();
+
+      return {
+        name: `${noteName}.md`,
+        content: `${formatFrontmatter(properties)}${body ? `\n${body}\n` : ''}`,
+        type: 'text'
+      };
+    });
+
+  const columns = keys.filter((_, index) => index !== titleIndex && index !== bodyIndex);
+  const content = [
+    formatFrontmatter(new Map([
+      ['source', originalName],
+      ['type', 'spreadsheet'],
+      ['format', format],
+      ['rows', files.length],
+      ['created', new Date().toISOString()]
+    ])),
+    `# ${baseName}`,
+    '',
+    '```dataview',
+    columns.length ? `TABLE ${columns.map(dataviewField).join(', ')}` : 'LIST',
+    'WHERE file.folder = this.file.folder AND file.name != this.file.name',
+    'SORT file.name ASC',
+    '```',
+    ''
+  ].join('\n');
+
+  console.log('🗂️ Built row notes:', { originalName, notes: files.length, titleColumn: keys[titleIndex] });
+
+  return { content, images: [], files };
+}